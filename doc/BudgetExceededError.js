@@ -0,0 +1,57 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+"use strict";
+
+const WebpackError = require("./WebpackError");
+const SizeFormatHelpers = require("./SizeFormatHelpers");
+
+/** @typedef {import("./BudgetPlugin").BudgetResult} BudgetResult */
+
+module.exports = class BudgetExceededError extends WebpackError {
+	/**
+	 * @param {BudgetResult[]} budgets budgets with exceeded limits
+	 */
+	constructor(budgets) {
+		const lines = [];
+		for (const budget of budgets) {
+			for (const violation of budget.violations) {
+				const delta = budget.delta[violation.sizeType];
+				if (violation.limit === "maxIncrease") {
+					lines.push(
+						`\n  ${budget.name}: grew by ${SizeFormatHelpers.formatSize(
+							delta
+						)} compared with the baseline (maxIncrease ${SizeFormatHelpers.formatSize(
+							violation.max
+						)})`
+					);
+					continue;
+				}
+				lines.push(
+					`\n  ${budget.name}: ${
+						violation.sizeType
+					} ${SizeFormatHelpers.formatSize(violation.size)} exceeds ${
+						violation.limit
+					} ${SizeFormatHelpers.formatSize(violation.max)}${
+						delta !== undefined
+							? ` (${SizeFormatHelpers.formatSizeDelta(
+									delta
+							  )} compared with the baseline)`
+							: ""
+					}`
+				);
+			}
+		}
+
+		super(
+			`budgets: The following size budget(s) are exceeded:${lines.join("")}`
+		);
+
+		this.name = "BudgetExceededError";
+		this.code = "WP_BUDGET_EXCEEDED";
+		this.budgets = budgets;
+
+		Error.captureStackTrace(this, this.constructor);
+	}
+};
@@ -0,0 +1,360 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+"use strict";
+
+const path = require("path");
+const fs = require("fs");
+const zlib = require("zlib");
+const mm = require("micromatch");
+const WebpackError = require("./WebpackError");
+const BudgetExceededError = require("./BudgetExceededError");
+
+/** @typedef {import("./Compiler")} Compiler */
+/** @typedef {import("./Compilation")} Compilation */
+
+/**
+ * @typedef {Object} BudgetRule
+ * @property {string=} entry limits the files of an entrypoint
+ * @property {string=} chunk limits every chunk which name matches the glob
+ * @property {string=} assetType limits every asset with the extension
+ * @property {string=} module limits the total size of the modules which resource matches the glob
+ * @property {number=} maxSize limit of the size in bytes
+ * @property {number=} maxGzipSize limit of the gzip compressed size in bytes
+ * @property {number=} maxBrotliSize limit of the brotli compressed size in bytes
+ * @property {number=} maxIncrease limit of the growth compared with the baseline in bytes
+ * @property {"error"|"warning"=} severity how exceeded limits are reported
+ */
+
+/**
+ * @typedef {Object} BudgetOptions
+ * @property {BudgetRule[]} rules the budgets
+ * @property {string=} baseline JSON file with the sizes of a previous build, relative to the context
+ * @property {boolean=} updateBaseline write the sizes of this build to the baseline file
+ */
+
+/**
+ * @typedef {Object} BudgetSizes
+ * @property {number} size size in bytes
+ * @property {number=} gzipSize gzip compressed size, only computed when the rule limits it
+ * @property {number=} brotliSize brotli compressed size, only computed when the rule limits it
+ */
+
+/**
+ * @typedef {Object} BudgetViolation
+ * @property {"maxSize"|"maxGzipSize"|"maxBrotliSize"|"maxIncrease"} limit the exceeded limit
+ * @property {"size"|"gzipSize"|"brotliSize"} sizeType the checked size
+ * @property {number} size the actual size or growth
+ * @property {number} max the value of the limit
+ */
+
+/**
+ * @typedef {Object} BudgetResult
+ * @property {string} name what was measured, e.g. "entry main" or "chunk vendors~main"
+ * @property {"error"|"warning"} severity how exceeded limits are reported
+ * @property {BudgetSizes} sizes the sizes of this build
+ * @property {BudgetSizes=} baseline the sizes stored in the baseline file
+ * @property {Object<string, number>} delta difference to the baseline for every size which is in both
+ * @property {BudgetViolation[]} violations exceeded limits
+ */
+
+/**
+ * @typedef {Object} BudgetTarget
+ * @property {string} name what is measured
+ * @property {{key: string, size: number, content: function(): (string|Buffer)}[]} items files or modules, compressed separately
+ */
+
+const pluginName = "BudgetPlugin";
+
+const LIMITS = [
+	["maxSize", "size"],
+	["maxGzipSize", "gzipSize"],
+	["maxBrotliSize", "brotliSize"]
+];
+
+const COMPRESSORS = {
+	gzipSize: content => zlib.gzipSync(content, { level: 9 }).length,
+	brotliSize: content => {
+		if (typeof zlib.brotliCompressSync !== "function") {
+			throw new Error(
+				"maxBrotliSize needs a node version with brotli support (>= 11.7)"
+			);
+		}
+		return zlib.brotliCompressSync(content).length;
+	}
+};
+
+// 和performance一样不计算source map的大小
+const isSourceMap = file => /\.map($|\?)/.test(file);
+
+class BudgetPlugin {
+	/**
+	 * @param {BudgetOptions} options options
+	 */
+	constructor(options) {
+		this.options = options;
+	}
+
+	/**
+	 * @param {Compiler} compiler the compiler instance
+	 * @returns {void}
+	 */
+	apply(compiler) {
+		const options = this.options;
+		const baselinePath =
+			options.baseline && path.resolve(compiler.context, options.baseline);
+		compiler.hooks.thisCompilation.tap(pluginName, compilation => {
+			//seal结束时createChunkAssets和对资源的优化(比如压缩)都已经完成，这时的大小就是输出的大小
+			compilation.hooks.afterSeal.tapAsync(pluginName, callback => {
+				this.readBaseline(baselinePath, (err, baseline) => {
+					if (err) {
+						compilation.errors.push(
+							new WebpackError(
+								`${pluginName}: unable to read baseline ${baselinePath}: ${
+									err.message
+								}`
+							)
+						);
+						return callback();
+					}
+					let results;
+					try {
+						results = this.checkBudgets(compilation, baseline);
+					} catch (e) {
+						compilation.errors.push(
+							new WebpackError(`${pluginName}: ${e.message}`)
+						);
+						return callback();
+					}
+					compilation.budgetResults = results;
+					const exceeded = results.filter(r => r.violations.length > 0);
+					const errors = exceeded.filter(r => r.severity === "error");
+					const warnings = exceeded.filter(r => r.severity === "warning");
+					if (errors.length > 0) {
+						compilation.errors.push(new BudgetExceededError(errors));
+					}
+					if (warnings.length > 0) {
+						compilation.warnings.push(new BudgetExceededError(warnings));
+					}
+					if (!options.updateBaseline || !baselinePath) return callback();
+					this.writeBaseline(baselinePath, results, err => {
+						if (err) {
+							compilation.warnings.push(
+								new WebpackError(
+									`${pluginName}: unable to write baseline ${baselinePath}: ${
+										err.message
+									}`
+								)
+							);
+						}
+						callback();
+					});
+				});
+			});
+		});
+	}
+
+	/**
+	 * @param {string|undefined} baselinePath the baseline file
+	 * @param {function(Error=, Object<string, BudgetSizes>=): void} callback callback with the stored sizes
+	 * @returns {void}
+	 */
+	readBaseline(baselinePath, callback) {
+		if (!baselinePath) return callback(null, {});
+		fs.readFile(baselinePath, "utf-8", (err, content) => {
+			// 还没有基线文件时只检查大小限制
+			if (err) return callback(err.code === "ENOENT" ? null : err, {});
+			let baseline;
+			try {
+				baseline = JSON.parse(content);
+			} catch (e) {
+				return callback(e);
+			}
+			callback(null, baseline);
+		});
+	}
+
+	/**
+	 * @param {string} baselinePath the baseline file
+	 * @param {BudgetResult[]} results results of this build
+	 * @param {function(Error=): void} callback callback
+	 * @returns {void}
+	 */
+	writeBaseline(baselinePath, results, callback) {
+		const baseline = {};
+		for (const result of results
+			.slice()
+			.sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0))) {
+			baseline[result.name] = Object.assign(
+				{},
+				baseline[result.name],
+				result.sizes
+			);
+		}
+		fs.writeFile(
+			baselinePath,
+			JSON.stringify(baseline, null, 2) + "\n",
+			callback
+		);
+	}
+
+	/**
+	 * @param {Compilation} compilation the sealed compilation
+	 * @param {Object<string, BudgetSizes>} baseline sizes of the baseline
+	 * @returns {BudgetResult[]} a result for every measured entrypoint, chunk, asset or module group
+	 */
+	checkBudgets(compilation, baseline) {
+		// 同一个文件可能被多个预算检查，压缩后的大小只计算一次
+		/** @type {Map<string, Object<string, number>>} */
+		const compressedCache = new Map();
+		const results = [];
+		for (const rule of this.options.rules) {
+			const severity = rule.severity || "error";
+			for (const target of this.getTargets(compilation, rule)) {
+				/** @type {BudgetSizes} */
+				const sizes = {
+					size: target.items.reduce((sum, item) => sum + item.size, 0)
+				};
+				for (const [limit, sizeType] of LIMITS) {
+					if (sizeType === "size" || rule[limit] === undefined) continue;
+					sizes[sizeType] = target.items.reduce((sum, item) => {
+						let cached = compressedCache.get(item.key);
+						if (cached === undefined) {
+							cached = {};
+							compressedCache.set(item.key, cached);
+						}
+						if (cached[sizeType] === undefined) {
+							cached[sizeType] = COMPRESSORS[sizeType](item.content());
+						}
+						return sum + cached[sizeType];
+					}, 0);
+				}
+
+				const baselineSizes = baseline[target.name];
+				const delta = {};
+				if (baselineSizes) {
+					for (const sizeType of Object.keys(sizes)) {
+						if (typeof baselineSizes[sizeType] === "number") {
+							delta[sizeType] = sizes[sizeType] - baselineSizes[sizeType];
+						}
+					}
+				}
+
+				const violations = [];
+				for (const [limit, sizeType] of LIMITS) {
+					if (rule[limit] !== undefined && sizes[sizeType] > rule[limit]) {
+						violations.push({
+							limit,
+							sizeType,
+							size: sizes[sizeType],
+							max: rule[limit]
+						});
+					}
+				}
+				if (
+					rule.maxIncrease !== undefined &&
+					delta.size !== undefined &&
+					delta.size > rule.maxIncrease
+				) {
+					violations.push({
+						limit: "maxIncrease",
+						sizeType: "size",
+						size: delta.size,
+						max: rule.maxIncrease
+					});
+				}
+
+				results.push({
+					name: target.name,
+					severity,
+					sizes,
+					baseline: baselineSizes,
+					delta,
+					violations
+				});
+			}
+		}
+		return results;
+	}
+
+	/**
+	 * @param {Compilation} compilation the sealed compilation
+	 * @param {BudgetRule} rule a budget
+	 * @returns {BudgetTarget[]} what the budget measures
+	 */
+	getTargets(compilation, rule) {
+		const assetItems = files =>
+			files
+				.filter(file => !isSourceMap(file) && compilation.assets[file])
+				.map(file => ({
+					key: `asset ${file}`,
+					size: compilation.assets[file].size(),
+					content: () => compilation.assets[file].source()
+				}));
+
+		if (rule.entry !== undefined) {
+			const entrypoint = compilation.entrypoints.get(rule.entry);
+			if (!entrypoint) {
+				compilation.warnings.push(
+					new WebpackError(
+						`${pluginName}: budget for unknown entrypoint '${rule.entry}'`
+					)
+				);
+				return [];
+			}
+			return [
+				{
+					name: `entry ${rule.entry}`,
+					items: assetItems(entrypoint.getFiles())
+				}
+			];
+		}
+
+		if (rule.chunk !== undefined) {
+			return compilation.chunks
+				.filter(chunk => chunk.name && mm.isMatch(chunk.name, rule.chunk))
+				.map(chunk => ({
+					name: `chunk ${chunk.name}`,
+					items: assetItems(chunk.files)
+				}));
+		}
+
+		if (rule.assetType !== undefined) {
+			const extension = "." + rule.assetType.replace(/^\./, "");
+			return Object.keys(compilation.assets)
+				.filter(file => path.extname(file.replace(/\?.*$/, "")) === extension)
+				.map(file => ({
+					name: `asset ${file}`,
+					items: assetItems([file])
+				}));
+		}
+
+		// 模块按照相对于context的资源路径匹配，所有匹配的模块加在一起计算
+		const context = compilation.compiler.context;
+		const modules = compilation.modules.filter(module => {
+			const resource = module.nameForCondition && module.nameForCondition();
+			if (!resource || !path.isAbsolute(resource)) return false;
+			const relative = path.relative(context, resource).replace(/\\/g, "/");
+			return mm.isMatch(relative, rule.module, { dot: true });
+		});
+		return [
+			{
+				name: `module ${rule.module}`,
+				items: modules.map(module => ({
+					key: `module ${module.identifier()}`,
+					size: module.size(),
+					content: () =>
+						module
+							.source(
+								compilation.dependencyTemplates,
+								compilation.runtimeTemplate
+							)
+							.source()
+				}))
+			}
+		];
+	}
+}
+
+module.exports = BudgetPlugin;
@@ -0,0 +1,41 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+"use strict";
+
+const WebpackError = require("./WebpackError");
+
+/** @typedef {import("./Stats")} Stats */
+
+module.exports = class BuildFailedError extends WebpackError {
+	/**
+	 * @param {Stats} stats stats of a compilation with errors, or MultiStats
+	 */
+	constructor(stats) {
+		//MultiStats的每个编译都有自己的错误
+		const children = stats.stats || [stats];
+		const errors = [];
+		const warnings = [];
+		for (const child of children) {
+			errors.push(...child.compilation.errors);
+			warnings.push(...child.compilation.warnings);
+		}
+		const formattedErrors = stats.toJson({ all: false, errors: true }).errors;
+
+		super(
+			`Build failed with ${errors.length} error(s):\n\n${formattedErrors.join(
+				"\n\n"
+			)}`
+		);
+
+		this.name = "BuildFailedError";
+		/** @type {Error[]} */
+		this.errors = errors;
+		/** @type {Error[]} */
+		this.warnings = warnings;
+		this.stats = stats;
+
+		Error.captureStackTrace(this, this.constructor);
+	}
+};
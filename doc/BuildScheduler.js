@@ -0,0 +1,231 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+"use strict";
+
+const { Tapable, SyncHook } = require("tapable");
+
+/** @typedef {import("./Module")} Module */
+
+/**
+ * @typedef {Object} BuildSchedulerLimits
+ * @property {number} resolve number of dependencies resolved by the module factories at the same time
+ * @property {number} loaders number of modules running their loaders at the same time
+ * @property {number} parse number of modules parsed at the same time
+ */
+
+/**
+ * @typedef {Object} QueueStats
+ * @property {number} limit maximum number of running tasks
+ * @property {number} running number of running tasks
+ * @property {number} waiting number of tasks waiting for a free slot
+ * @property {number} maxWaiting the largest number of waiting tasks so far
+ * @property {number} total number of tasks started so far
+ */
+
+/**
+ * @typedef {Object} QueueItem
+ * @property {number} priority higher priorities run first
+ * @property {number} order items with the same priority run in order of acquiring
+ * @property {function(): void} callback runs the task
+ */
+
+/**
+ * @param {QueueItem} a an item
+ * @param {QueueItem} b another item
+ * @returns {boolean} true, when a runs before b
+ */
+const runsBefore = (a, b) =>
+	a.priority !== b.priority ? a.priority > b.priority : a.order < b.order;
+
+/**
+ * A semaphore which lets the waiting task with the highest priority continue
+ */
+class PriorityQueue {
+	/**
+	 * @param {string} name name of the queue
+	 * @param {number} limit maximum number of running tasks
+	 */
+	constructor(name, limit) {
+		this.name = name;
+		/** @type {QueueStats} */
+		this.stats = {
+			limit,
+			running: 0,
+			waiting: 0,
+			maxWaiting: 0,
+			total: 0
+		};
+		//按照优先级排序的二叉堆
+		/** @type {QueueItem[]} */
+		this.heap = [];
+		this._order = 0;
+	}
+
+	/**
+	 * @param {number} priority higher priorities run first
+	 * @param {function(): void} callback runs the task
+	 * @returns {void}
+	 */
+	push(priority, callback) {
+		const heap = this.heap;
+		let i = heap.push({ priority, order: this._order++, callback }) - 1;
+		while (i > 0) {
+			const parent = (i - 1) >> 1;
+			if (!runsBefore(heap[i], heap[parent])) break;
+			[heap[i], heap[parent]] = [heap[parent], heap[i]];
+			i = parent;
+		}
+	}
+
+	/**
+	 * @returns {QueueItem} the waiting task with the highest priority
+	 */
+	pop() {
+		const heap = this.heap;
+		const top = heap[0];
+		const last = heap.pop();
+		if (heap.length > 0) {
+			heap[0] = last;
+			let i = 0;
+			for (;;) {
+				const left = i * 2 + 1;
+				const right = left + 1;
+				let next = i;
+				if (left < heap.length && runsBefore(heap[left], heap[next])) {
+					next = left;
+				}
+				if (right < heap.length && runsBefore(heap[right], heap[next])) {
+					next = right;
+				}
+				if (next === i) break;
+				[heap[i], heap[next]] = [heap[next], heap[i]];
+				i = next;
+			}
+		}
+		return top;
+	}
+}
+
+/**
+ * Limits how many dependencies are resolved, how many modules run loaders and how many modules are parsed at the same time.
+ * Waiting tasks run in order of priority. The priority of a module is its depth in the dependency graph,
+ * so the long chains of imports from the entries, which decide how long the build takes, are followed first
+ * instead of building the graph level by level.
+ */
+class BuildScheduler extends Tapable {
+	/**
+	 * @param {BuildSchedulerLimits} limits limits of the queues
+	 */
+	constructor(limits) {
+		super();
+		this.hooks = {
+			/** @type {SyncHook<string, QueueStats>} */
+			queueChanged: new SyncHook(["name", "stats"])
+		};
+		/** @type {Map<string, PriorityQueue>} */
+		this.queues = new Map();
+		for (const name of Object.keys(limits)) {
+			this.queues.set(name, new PriorityQueue(name, limits[name]));
+		}
+		/** @type {WeakMap<Module, number>} */
+		this._priorities = new WeakMap();
+	}
+
+	/**
+	 * @param {string} name name of the queue
+	 * @returns {PriorityQueue} the queue
+	 */
+	_getQueue(name) {
+		const queue = this.queues.get(name);
+		if (queue === undefined) {
+			throw new Error(`BuildScheduler: unknown queue '${name}'`);
+		}
+		return queue;
+	}
+
+	/**
+	 * @param {string} name name of the queue
+	 * @param {number} priority higher priorities run first
+	 * @param {function(): void} callback called when a slot of the queue is free, call release afterwards
+	 * @returns {void}
+	 */
+	acquire(name, priority, callback) {
+		const queue = this._getQueue(name);
+		const stats = queue.stats;
+		if (stats.running < stats.limit) {
+			stats.running++;
+			stats.total++;
+			this.hooks.queueChanged.call(name, stats);
+			callback();
+			return;
+		}
+		queue.push(priority, callback);
+		stats.waiting++;
+		if (stats.waiting > stats.maxWaiting) stats.maxWaiting = stats.waiting;
+		this.hooks.queueChanged.call(name, stats);
+	}
+
+	/**
+	 * @param {string} name name of the queue
+	 * @returns {void}
+	 */
+	release(name) {
+		const queue = this._getQueue(name);
+		const stats = queue.stats;
+		stats.running--;
+		this.hooks.queueChanged.call(name, stats);
+		if (stats.waiting > 0) {
+			process.nextTick(() => this._continue(queue));
+		}
+	}
+
+	/**
+	 * @param {PriorityQueue} queue the queue
+	 * @returns {void}
+	 */
+	_continue(queue) {
+		const stats = queue.stats;
+		if (stats.running >= stats.limit || stats.waiting === 0) return;
+		const item = queue.pop();
+		stats.waiting--;
+		stats.running++;
+		stats.total++;
+		this.hooks.queueChanged.call(queue.name, stats);
+		item.callback();
+	}
+
+	/**
+	 * @param {Module} module a module
+	 * @returns {number} the priority of building the module
+	 */
+	getPriority(module) {
+		return this._priorities.get(module) || 0;
+	}
+
+	/**
+	 * A module reached on a longer chain of imports gets the higher priority
+	 * @param {Module} module a module
+	 * @param {number} priority the priority
+	 * @returns {void}
+	 */
+	setPriority(module, priority) {
+		if (priority > this.getPriority(module)) {
+			this._priorities.set(module, priority);
+		}
+	}
+
+	/**
+	 * @returns {Object<string, QueueStats>} the stats of every queue
+	 */
+	getStats() {
+		const result = {};
+		for (const [name, queue] of this.queues) {
+			result[name] = Object.assign({}, queue.stats);
+		}
+		return result;
+	}
+}
+
+module.exports = BuildScheduler;
@@ -0,0 +1,31 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+"use strict";
+
+/**
+ * Tells a running compilation that its result is not needed anymore.
+ * Passed to Compiler.compile, the compilation checks it before building modules,
+ * between loaders and between the steps of seal.
+ */
+class CancellationSignal {
+	constructor() {
+		/** @type {boolean} */
+		this.cancelled = false;
+		/** @type {string=} */
+		this.reason = undefined;
+	}
+
+	/**
+	 * @param {string=} reason why the compilation is cancelled
+	 * @returns {void}
+	 */
+	cancel(reason) {
+		if (this.cancelled) return;
+		this.cancelled = true;
+		this.reason = reason;
+	}
+}
+
+module.exports = CancellationSignal;
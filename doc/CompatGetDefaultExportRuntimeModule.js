@@ -0,0 +1,41 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+"use strict";
+
+const RuntimeGlobals = require("./RuntimeGlobals");
+const RuntimeModule = require("./RuntimeModule");
+const Template = require("./Template");
+
+/** @typedef {import("./RuntimeModule").RuntimeModuleContext} RuntimeModuleContext */
+
+class CompatGetDefaultExportRuntimeModule extends RuntimeModule {
+	constructor() {
+		super("compat get default export", [RuntimeGlobals.definePropertyGetters]);
+	}
+
+	/**
+	 * @param {RuntimeModuleContext} context context
+	 * @returns {string} the code of the helper
+	 */
+	generate({ mainTemplate }) {
+		const fn = mainTemplate.requireFn;
+		return Template.asString([
+			"// getDefaultExport function for compatibility with non-harmony modules",
+			`${fn}.n = function(module) {`,
+			Template.indent([
+				"var getter = module && module.__esModule ?",
+				Template.indent([
+					"function getDefault() { return module['default']; } :",
+					"function getModuleExports() { return module; };"
+				]),
+				`${fn}.d(getter, 'a', getter);`,
+				"return getter;"
+			]),
+			"};"
+		]);
+	}
+}
+
+module.exports = CompatGetDefaultExportRuntimeModule;
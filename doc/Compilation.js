@@ -30,6 +30,9 @@ const ChunkRenderError = require("./ChunkRenderError");
 const AsyncDependencyToInitialChunkError = require("./AsyncDependencyToInitialChunkError");
 const Stats = require("./Stats");
 const Semaphore = require("./util/Semaphore");
+const BuildScheduler = require("./BuildScheduler");
+const CompilationCancelledError = require("./CompilationCancelledError");
+const { getDiagnostics } = require("./Diagnostics");
 const createHash = require("./util/createHash");
 const Queue = require("./util/Queue");
 const SortableSet = require("./util/SortableSet");
@@ -39,6 +42,14 @@ const compareLocations = require("./compareLocations");
 
 /** @typedef {import("./Module")} Module */
 /** @typedef {import("./Compiler")} Compiler */
+/** @typedef {import("./FileSystemCache")} FileSystemCache */
+/** @typedef {import("./LoaderWorkerPool")} LoaderWorkerPool */
+/** @typedef {import("./Tracer")} Tracer */
+/** @typedef {import("./BudgetPlugin").BudgetResult} BudgetResult */
+/** @typedef {import("./RecordsDiff").RecordsDiff} RecordsDiff */
+/** @typedef {import("./Compiler").EmitCounts} EmitCounts */
+/** @typedef {import("./CancellationSignal")} CancellationSignal */
+/** @typedef {import("./Diagnostics").Diagnostic} Diagnostic */
 /** @typedef {import("webpack-sources").Source} Source */
 /** @typedef {import("./WebpackError")} WebpackError */
 /** @typedef {import("./DependenciesBlockVariable")} DependenciesBlockVariable */
@@ -424,7 +435,17 @@ class Compilation extends Tapable {
 			webassembly: new ModuleTemplate(this.runtimeTemplate, "webassembly")//webassembly文件模板
 		};
 
-		this.semaphore = new Semaphore(options.parallelism || 100);
+		const parallelism = options.parallelism || 100;
+		//构建由buildScheduler限制，compilation.semaphore不再使用，只是为了兼容访问它的插件而保留
+		this.semaphore = new Semaphore(parallelism);
+		//限制同时解析路径、执行loader和解析语法树的模块数，按照优先级调度
+		const limits = options.scheduler || {};
+		/** @type {BuildScheduler} */
+		this.buildScheduler = new BuildScheduler({
+			resolve: limits.resolve || parallelism,
+			loaders: limits.loaders || parallelism,
+			parse: limits.parse || parallelism
+		});
 
 		this.entries = [];//入口文件
 		/** @private @type {{name: string, request: string, module: Module}[]} */
@@ -443,6 +464,27 @@ class Compilation extends Tapable {
 		/** @private @type {Map<string, Module>} */
 		this._modules = new Map();//私有的map
 		this.cache = null;
+		//跨进程的持久化缓存，NormalModule在执行loader之前会先从这里查找
+		/** @type {FileSystemCache=} */
+		this.persistentCache = undefined;
+		//执行loader的工作线程池，由LoaderWorkerPoolPlugin设置
+		/** @type {LoaderWorkerPool=} */
+		this.loaderWorkerPool = undefined;
+		//开启trace时由TracePlugin设置，用来记录每一次loader的调用
+		/** @type {Tracer=} */
+		this.tracer = undefined;
+		//为true时NormalModule会把每个loader的输入和输出记录到module.buildInfo.loaderSteps
+		/** @type {boolean=} */
+		this.recordLoaderSteps = undefined;
+		//配置了budgets时由BudgetPlugin设置，每个预算检查的大小和与基线的差值
+		/** @type {BudgetResult[]=} */
+		this.budgetResults = undefined;
+		//配置了recordsDiff时由RecordsDiffPlugin设置，和上一次记录相比变化了的id
+		/** @type {RecordsDiff=} */
+		this.recordsDiff = undefined;
+		//emitAssets完成后由Compiler设置，写入、内容未变跳过和删除的文件数
+		/** @type {EmitCounts=} */
+		this.emitCounts = undefined;
 		this.records = null;
 		/** @type {string[]} */
 		this.additionalChunkAssets = [];
@@ -472,6 +514,9 @@ class Compilation extends Tapable {
 		this.contextTimestamps = undefined;
 		/** @type {Set<string>=} */
 		this.compilationDependencies = undefined;
+		//watch模式下文件再次变化时取消这次编译
+		/** @type {CancellationSignal=} */
+		this.signal = undefined;
 		/** @private @type {Map<Module, Callback[]>} */
 		this._buildingModules = new Map();
 		/** @private @type {Map<Module, Callback[]>} */
@@ -482,6 +527,13 @@ class Compilation extends Tapable {
 		return new Stats(this);
 	}
 
+	/**
+	 * @returns {Diagnostic[]} the errors and warnings with codes and locations, for tools reading them
+	 */
+	getDiagnostics() {
+		return getDiagnostics(this);
+	}
+
 	/**
 	 * @typedef {Object} AddModuleResult
 	 * @property {Module} module the added or existing module
@@ -613,6 +665,8 @@ class Compilation extends Tapable {
 				cb(err);
 			}
 		};
+		const cancelledError = this.getCancelledError();
+		if (cancelledError) return callback(cancelledError);
 		// ====buildModule====
 		this.hooks.buildModule.call(module);
 		module.build(//开始执行编译
@@ -764,8 +818,16 @@ class Compilation extends Tapable {
 					callback();
 				};
 
-				const semaphore = this.semaphore;
-				semaphore.acquire(() => {
+				const buildScheduler = this.buildScheduler;
+				//依赖比引用它的模块深一层，优先沿着长的依赖链继续
+				const priority = buildScheduler.getPriority(module) + 1;
+				buildScheduler.acquire("resolve", priority, () => {
+					//编译已经取消，剩下的依赖不再解析
+					const cancelledError = this.getCancelledError();
+					if (cancelledError) {
+						buildScheduler.release("resolve");
+						return callback(cancelledError);
+					}
 					const factory = item.factory;
 					factory.create(
 						{
@@ -778,6 +840,7 @@ class Compilation extends Tapable {
 							dependencies: dependencies
 						},
 						(err, dependentModule) => {
+							buildScheduler.release("resolve");
 							let afterFactory;
 
 							const isOptional = () => {
@@ -793,13 +856,11 @@ class Compilation extends Tapable {
 							};
 
 							if (err) {
-								semaphore.release();
 								return errorOrWarningAndCallback(
 									new ModuleNotFoundError(module, err)
 								);
 							}
 							if (!dependentModule) {
-								semaphore.release();
 								return process.nextTick(callback);
 							}
 							if (currentProfile) {
@@ -821,6 +882,7 @@ class Compilation extends Tapable {
 							);
 							dependentModule = addModuleResult.module;
 							iterationDependencies(dependencies);
+							buildScheduler.setPriority(dependentModule, priority);
 
 							const afterBuild = () => {
 								if (currentProfile) {
@@ -863,7 +925,6 @@ class Compilation extends Tapable {
 									dependencies,
 									err => {
 										if (err) {
-											semaphore.release();
 											return errorOrWarningAndCallback(err);
 										}
 
@@ -872,12 +933,10 @@ class Compilation extends Tapable {
 											currentProfile.building = afterBuilding - afterFactory;
 										}
 
-										semaphore.release();
 										afterBuild();
 									}
 								);
 							} else {
-								semaphore.release();
 								this.waitForBuildingFinished(dependentModule, afterBuild);
 							}
 						}
@@ -940,8 +999,13 @@ class Compilation extends Tapable {
 				}`
 			);
 		}
-		//semaphore是信号量的意思
-		this.semaphore.acquire(() => {
+		//入口模块的优先级最低，它的依赖一层层增加
+		this.buildScheduler.acquire("resolve", 0, () => {
+			const cancelledError = this.getCancelledError();
+			if (cancelledError) {
+				this.buildScheduler.release("resolve");
+				return callback(cancelledError);
+			}
 			moduleFactory.create(
 				{
 					contextInfo: {
@@ -952,8 +1016,8 @@ class Compilation extends Tapable {
 					dependencies: [dependency]
 				},
 				(err, module) => {
+					this.buildScheduler.release("resolve");
 					if (err) {
-						this.semaphore.release();
 						return errorAndCallback(new EntryModuleNotFoundError(err));
 					}
 
@@ -997,7 +1061,6 @@ class Compilation extends Tapable {
 					if (addModuleResult.build) {
 						this.buildModule(module, false, null, null, err => {
 							if (err) {
-								this.semaphore.release();
 								return errorAndCallback(err);
 							}
 
@@ -1005,12 +1068,9 @@ class Compilation extends Tapable {
 								const afterBuilding = Date.now();
 								currentProfile.building = afterBuilding - afterFactory;
 							}
-							//释放任务计数
-							this.semaphore.release();
 							afterBuild();
 						});
 					} else {
-						this.semaphore.release();
 						this.waitForBuildingFinished(module, afterBuild);
 					}
 				}
@@ -1160,6 +1220,13 @@ class Compilation extends Tapable {
 	 * @returns {void}
 	 */
 	seal(callback) { // ===seal====
+		//seal中每个异步的步骤之后都检查编译是否已经取消
+		const cancelled = () => {
+			const cancelledError = this.getCancelledError();
+			if (cancelledError) callback(cancelledError);
+			return !!cancelledError;
+		};
+		if (cancelled()) return;
 		this.hooks.seal.call();
 
 		while (
@@ -1219,6 +1286,7 @@ class Compilation extends Tapable {
 			if (err) {
 				return callback(err);
 			}
+			if (cancelled()) return;
 			// ===afterOptimizeTree===
 			this.hooks.afterOptimizeTree.call(this.chunks, this.modules);
 
@@ -1282,15 +1350,18 @@ class Compilation extends Tapable {
 				if (err) {
 					return callback(err);
 				}
+				if (cancelled()) return;
 				this.hooks.optimizeChunkAssets.callAsync(this.chunks, err => {
 					if (err) {
 						return callback(err);
 					}
+					if (cancelled()) return;
 					this.hooks.afterOptimizeChunkAssets.call(this.chunks);
 					this.hooks.optimizeAssets.callAsync(this.assets, err => {
 						if (err) {
 							return callback(err);
 						}
+						if (cancelled()) return;
 						this.hooks.afterOptimizeAssets.call(this.assets);
 						if (this.hooks.needAdditionalSeal.call()) {
 							this.unseal();
@@ -1303,6 +1374,31 @@ class Compilation extends Tapable {
 		});
 	}
 
+	/**
+	 * @returns {CompilationCancelledError|null} an error, when the signal of the compilation was cancelled
+	 */
+	getCancelledError() {
+		if (!this.signal || !this.signal.cancelled) return null;
+		return new CompilationCancelledError(this.signal.reason);
+	}
+
+	/**
+	 * Removes the modules which are not built completely from the cache after the compilation was cancelled,
+	 * the next compilation creates and builds them again
+	 * @returns {void}
+	 */
+	discardUnfinishedModules() {
+		if (!this.cache) return;
+		const unfinished = new Set(
+			this.modules.filter(
+				module => !module.buildInfo || this._buildingModules.has(module)
+			)
+		);
+		for (const key of Object.keys(this.cache)) {
+			if (unfinished.has(this.cache[key])) delete this.cache[key];
+		}
+	}
+
 	/**
 	 * @param {Module[]} modules the modules array on compilation to perform the sort for
 	 * @returns {void}
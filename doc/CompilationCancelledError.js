@@ -0,0 +1,24 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+"use strict";
+
+const WebpackError = require("./WebpackError");
+
+module.exports = class CompilationCancelledError extends WebpackError {
+	/**
+	 * @param {string=} reason why the compilation was cancelled
+	 */
+	constructor(reason) {
+		super(
+			reason ? `Compilation cancelled: ${reason}` : "Compilation cancelled"
+		);
+
+		this.name = "CompilationCancelledError";
+		this.code = "WP_COMPILATION_CANCELLED";
+		this.reason = reason;
+
+		Error.captureStackTrace(this, this.constructor);
+	}
+};
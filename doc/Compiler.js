@@ -19,6 +19,8 @@ const {
 const Compilation = require("./Compilation");
 const Stats = require("./Stats");
 const Watching = require("./Watching");
+const WatchIterator = require("./WatchIterator");
+const FileContentHashes = require("./FileContentHashes");
 const NormalModuleFactory = require("./NormalModuleFactory");
 const ContextModuleFactory = require("./ContextModuleFactory");
 const ResolverFactory = require("./ResolverFactory");
@@ -26,7 +28,12 @@ const ResolverFactory = require("./ResolverFactory");
 const RequestShortener = require("./RequestShortener");
 const { makePathsRelative } = require("./util/identifier");
 const ConcurrentCompilationError = require("./ConcurrentCompilationError");
+const CompilationCancelledError = require("./CompilationCancelledError");
+const createHash = require("./util/createHash");
 
+/** @typedef {import("./FileSystemCache")} FileSystemCache */
+/** @typedef {import("./FileContentHashes")} FileContentHashes */
+/** @typedef {import("./CancellationSignal")} CancellationSignal */
 /** @typedef {import("../declarations/WebpackOptions").Entry} Entry */
 /** @typedef {import("../declarations/WebpackOptions").WebpackOptions} WebpackOptions */
 
@@ -35,8 +42,112 @@ const ConcurrentCompilationError = require("./ConcurrentCompilationError");
  * @property {NormalModuleFactory} normalModuleFactory
  * @property {ContextModuleFactory} contextModuleFactory
  * @property {Set<string>} compilationDependencies
+ * @property {CancellationSignal=} signal
  */
 
+/**
+ * @typedef {Object} EmitCounts
+ * @property {number} written files written to the output file system
+ * @property {number} skipped files not written because their content did not change
+ * @property {number} removed stale files of previous builds which were removed
+ */
+
+/**
+ * @typedef {Object} PendingOutput
+ * @property {string} outputPath the output directory
+ * @property {string} tempPath the sibling directory the assets are emitted to
+ * @property {string} oldPath the sibling directory the previous output is moved to while swapping
+ */
+
+/**
+ * @param {Object} fs the output file system
+ * @param {string} file a file
+ * @param {function(Error=, Object=): void} callback callback with the stats of the file, symlinks are not followed
+ * @returns {void}
+ */
+const lstat = (fs, file, callback) => {
+	//memory-fs没有lstat，也没有符号链接
+	if (typeof fs.lstat === "function") return fs.lstat(file, callback);
+	fs.stat(file, callback);
+};
+
+/**
+ * @param {string} outputPath the output directory
+ * @param {string} context the context of the compiler
+ * @returns {boolean} true, when the output directory is the context, one of its ancestors or the root of the file system
+ */
+const containsContext = (outputPath, context) => {
+	if (path.dirname(outputPath) === outputPath) return true;
+	const relative = path.relative(outputPath, context);
+	return !relative.startsWith("..") && !path.isAbsolute(relative);
+};
+
+/**
+ * Removes files and empty directories in a directory, except the files in keep
+ * @param {Object} fs the output file system
+ * @param {string} dir the directory
+ * @param {Set<string>} keep files which are not removed
+ * @param {function(Error=, number=, boolean=): void} callback callback with the number of removed files and true, when the directory is empty now
+ * @returns {void}
+ */
+const removeFiles = (fs, dir, keep, callback) => {
+	fs.readdir(dir, (err, names) => {
+		if (err) return callback(err);
+		let removed = 0;
+		let remaining = names.length;
+		asyncLib.forEach(
+			names,
+			(name, callback) => {
+				const file = fs.join(dir, name);
+				if (keep.has(file)) return callback();
+				//符号链接本身被删除，不进入它指向的目录
+				lstat(fs, file, (err, stat) => {
+					if (err) return callback(err);
+					if (stat.isDirectory()) {
+						return removeFiles(fs, file, keep, (err, count, empty) => {
+							if (err) return callback(err);
+							removed += count;
+							if (!empty) return callback();
+							fs.rmdir(file, err => {
+								if (err) return callback(err);
+								remaining--;
+								callback();
+							});
+						});
+					}
+					fs.unlink(file, err => {
+						if (err) return callback(err);
+						removed++;
+						remaining--;
+						callback();
+					});
+				});
+			},
+			err => {
+				if (err) return callback(err);
+				callback(null, removed, remaining === 0);
+			}
+		);
+	});
+};
+
+/**
+ * @param {Object} fs the output file system
+ * @param {string} dir the directory
+ * @param {function(Error=): void} callback callback
+ * @returns {void}
+ */
+const removeDirectory = (fs, dir, callback) => {
+	lstat(fs, dir, (err, stat) => {
+		if (err) return callback(err.code === "ENOENT" ? null : err);
+		if (!stat.isDirectory()) return fs.unlink(dir, callback);
+		removeFiles(fs, dir, new Set(), err => {
+			if (err) return callback(err);
+			fs.rmdir(dir, callback);
+		});
+	});
+};
+
 class Compiler extends Tapable {
 	constructor(context) {
 		super();
@@ -78,6 +189,8 @@ class Compiler extends Tapable {
 			watchRun: new AsyncSeriesHook(["compiler"]),
 			/** @type {SyncHook<Error>} */
 			failed: new SyncHook(["error"]),
+			/** @type {SyncHook<Compilation|undefined, string|undefined>} */
+			cancelled: new SyncHook(["compilation", "reason"]),
 			/** @type {SyncHook<string, string>} */
 			invalid: new SyncHook(["filename", "changeTime"]),
 			/** @type {SyncHook} */
@@ -134,6 +247,21 @@ class Compiler extends Tapable {
 		this.contextTimestamps = new Map();
 		/** @type {ResolverFactory} */
 		this.resolverFactory = new ResolverFactory();
+		//持久化的模块缓存，由FileSystemCachePlugin设置
+		/** @type {FileSystemCache=} */
+		this.persistentCache = undefined;
+		//watchOptions.contentHash开启时记录被监听文件的内容hash
+		/** @type {FileContentHashes=} */
+		this.fileContentHashes = undefined;
+		//输出路径到上一次写入(或者比较过)的文件内容的hash
+		/** @type {Map<string, string>} */
+		this._assetContentHashes = new Map();
+		//开启output.atomic时，已经输出到临时目录但还没有换到输出目录的结果
+		/** @type {PendingOutput=} */
+		this._pendingOutput = undefined;
+		//通过watch启动的监听，close的时候关闭
+		/** @type {Watching=} */
+		this.watching = undefined;
 
 		// TODO remove in webpack 5
 		this.resolvers = {
@@ -192,7 +320,45 @@ class Compiler extends Tapable {
 		this.running = true;
 		this.fileTimestamps = new Map();
 		this.contextTimestamps = new Map();
-		return new Watching(this, watchOptions, handler);
+		if (watchOptions && watchOptions.contentHash) {
+			this.fileContentHashes = new FileContentHashes(
+				this.inputFileSystem,
+				this.options.output && this.options.output.hashFunction
+			);
+		}
+		this.watching = new Watching(this, watchOptions, handler);
+		return this.watching;
+	}
+
+	/**
+	 * @param {Object=} watchOptions options of the watching
+	 * @returns {WatchIterator} async iterator over the stats of every compilation
+	 */
+	watchIterator(watchOptions) {
+		return new WatchIterator(this, watchOptions);
+	}
+
+	/**
+	 * Stops watching, when the compiler is watching
+	 * @param {function(Error=): void} callback called when the compiler is closed
+	 * @returns {void}
+	 */
+	close(callback) {
+		const watching = this.watching;
+		if (watching === undefined) return callback();
+		watching.close(() => callback());
+	}
+
+	/**
+	 * @returns {Promise<void>} resolved when the compiler is closed
+	 */
+	closeAsync() {
+		return new Promise((resolve, reject) => {
+			this.close(err => {
+				if (err) return reject(err);
+				resolve();
+			});
+		});
 	}
 	//开始真正启动编译
 	run(callback) {//如果编译正在进行，报一个并发错误
@@ -243,14 +409,18 @@ class Compiler extends Tapable {
 				}
 
 				this.emitRecords(err => {
-					if (err) return finalCallback(err);
-
-					const stats = new Stats(compilation);
-					stats.startTime = startTime;
-					stats.endTime = Date.now();
-					this.hooks.done.callAsync(stats, err => {
+					if (err) return this.discardOutput(() => finalCallback(err));
+					//开启output.atomic时把临时目录换到输出目录
+					this.commitOutput(err => {
 						if (err) return finalCallback(err);
-						return finalCallback(null, stats);
+
+						const stats = new Stats(compilation);
+						stats.startTime = startTime;
+						stats.endTime = Date.now();
+						this.hooks.done.callAsync(stats, err => {
+							if (err) return finalCallback(err);
+							return finalCallback(null, stats);
+						});
 					});
 				});
 			});
@@ -271,6 +441,18 @@ class Compiler extends Tapable {
 		});
 	}
 
+	/**
+	 * @returns {Promise<Stats>} the stats, rejected when the compiler failed (errors of modules are in the stats)
+	 */
+	runAsync() {
+		return new Promise((resolve, reject) => {
+			this.run((err, stats) => {
+				if (err) return reject(err);
+				resolve(stats);
+			});
+		});
+	}
+
 	runAsChild(callback) {
 		this.compile((err, compilation) => {
 			if (err) return callback(err);
@@ -299,9 +481,24 @@ class Compiler extends Tapable {
 
 	emitAssets(compilation, callback) {
 		let outputPath;
+		const atomic = !!(this.options.output && this.options.output.atomic);
+		/** @type {EmitCounts} */
+		const counts = { written: 0, skipped: 0, removed: 0 };
+		/** @type {Set<string>} */
+		const targetPaths = new Set();
+		const hashFunction = compilation.outputOptions.hashFunction;
+		const getContentHash = content =>
+			createHash(hashFunction)
+				.update(content)
+				.digest("hex");
+
+		//失败时删除临时目录，输出目录保持上一次构建的结果
+		const fail = err => {
+			this.discardOutput(() => callback(err));
+		};
 
 		const emitFiles = err => {
-			if (err) return callback(err);
+			if (err) return fail(err);
 			//以并发的方式把所有的文件写入文件系统
 			asyncLib.forEach(
 				compilation.assets,
@@ -318,8 +515,11 @@ class Compiler extends Tapable {
 							outputPath,
 							targetFile
 						);
-						if (source.existsAt === targetPath) {
+						targetPaths.add(targetPath);
+						//临时目录每次都是新的，所有文件都要写入
+						if (!atomic && source.existsAt === targetPath) {
 							source.emitted = false;
+							counts.skipped++;
 							return callback();
 						}
 						let content = source.source();
@@ -327,10 +527,45 @@ class Compiler extends Tapable {
 						if (!Buffer.isBuffer(content)) {
 							content = Buffer.from(content, "utf8");
 						}
+						const contentHash = getContentHash(content);
 
-						source.existsAt = targetPath;
-						source.emitted = true;
-						this.outputFileSystem.writeFile(targetPath, content, callback);
+						//内容没有变化时不再写入，保持文件的修改时间不变
+						const skip = () => {
+							this._assetContentHashes.set(targetPath, contentHash);
+							source.existsAt = targetPath;
+							source.emitted = false;
+							counts.skipped++;
+							callback();
+						};
+						const write = () => {
+							this.outputFileSystem.writeFile(targetPath, content, err => {
+								if (err) return callback(err);
+								this._assetContentHashes.set(targetPath, contentHash);
+								source.existsAt = targetPath;
+								source.emitted = true;
+								counts.written++;
+								callback();
+							});
+						};
+
+						if (atomic) return write();
+						if (this._assetContentHashes.get(targetPath) === contentHash) {
+							return skip();
+						}
+						//比如自定义的输出文件系统没有readFile
+						if (typeof this.outputFileSystem.readFile !== "function") {
+							return write();
+						}
+						this.outputFileSystem.readFile(targetPath, (err, existing) => {
+							if (
+								!err &&
+								existing.length === content.length &&
+								getContentHash(existing) === contentHash
+							) {
+								return skip();
+							}
+							write();
+						});
 					};
 
 					if (targetFile.match(/\/|\\/)) {
@@ -344,12 +579,29 @@ class Compiler extends Tapable {
 					}
 				},
 				err => {
-					if (err) return callback(err);
-					///===afterEmit===
-					this.hooks.afterEmit.callAsync(compilation, err => {
-						if (err) return callback(err);
+					if (err) return fail(err);
+					const afterEmit = err => {
+						if (err) return fail(err);
+						compilation.emitCounts = counts;
+						///===afterEmit===
+						this.hooks.afterEmit.callAsync(compilation, err => {
+							if (err) return fail(err);
 
-						return callback();
+							return callback();
+						});
+					};
+					//临时目录里只有这次输出的文件，换到输出目录时旧的文件就都没有了
+					if (
+						atomic ||
+						!this.options.output ||
+						!this.options.output.removeStaleFiles
+					) {
+						return afterEmit();
+					}
+					this.removeStaleFiles(outputPath, targetPaths, (err, removed) => {
+						if (err) return afterEmit(err);
+						counts.removed = removed;
+						afterEmit();
 					});
 				}
 			);
@@ -358,24 +610,159 @@ class Compiler extends Tapable {
 		this.hooks.emit.callAsync(compilation, err => {
 			if (err) return callback(err);
 			outputPath = compilation.getPath(this.outputPath);
-			this.outputFileSystem.mkdirp(outputPath, emitFiles);
+			if (!atomic) {
+				return this.outputFileSystem.mkdirp(outputPath, emitFiles);
+			}
+			const fs = this.outputFileSystem;
+			if (
+				["rename", "readdir", "stat", "unlink", "rmdir"].some(
+					method => typeof fs[method] !== "function"
+				)
+			) {
+				return callback(
+					new Error(
+						"output.atomic needs an output file system with rename, readdir, stat, unlink and rmdir"
+					)
+				);
+			}
+			//换出的旧目录会被删除，它不能包含源代码
+			if (containsContext(outputPath, this.context)) {
+				return callback(
+					new Error(
+						`output.atomic: refusing to replace ${outputPath} because it contains the context ${
+							this.context
+						}`
+					)
+				);
+			}
+			const dir = path.dirname(outputPath);
+			const name = path.basename(outputPath);
+			const pending = {
+				outputPath,
+				tempPath: fs.join(dir, `.${name}.tmp`),
+				oldPath: fs.join(dir, `.${name}.old`)
+			};
+			this._pendingOutput = pending;
+			outputPath = pending.tempPath;
+			//先删除中断的构建留下的临时目录
+			removeDirectory(fs, pending.tempPath, err => {
+				if (err) return fail(err);
+				removeDirectory(fs, pending.oldPath, err => {
+					if (err) return fail(err);
+					fs.mkdirp(pending.tempPath, emitFiles);
+				});
+			});
+		});
+	}
+
+	/**
+	 * With output.atomic swaps the directory the assets and records were emitted to into the place of the output directory.
+	 * The output directory is missing for the short time between the two renames, but it is never half-written.
+	 * @param {function(Error=): void} callback callback
+	 * @returns {void}
+	 */
+	commitOutput(callback) {
+		const pending = this._pendingOutput;
+		if (!pending) return callback();
+		const fs = this.outputFileSystem;
+		const { outputPath, tempPath, oldPath } = pending;
+		fs.rename(outputPath, oldPath, err => {
+			if (err && err.code !== "ENOENT") {
+				return this.discardOutput(() => callback(err));
+			}
+			const hadOutput = !err;
+			fs.rename(tempPath, outputPath, err => {
+				if (err) {
+					//把旧的输出目录放回去
+					if (!hadOutput) return this.discardOutput(() => callback(err));
+					return fs.rename(oldPath, outputPath, () => {
+						this.discardOutput(() => callback(err));
+					});
+				}
+				this._pendingOutput = undefined;
+				if (!hadOutput) return callback();
+				removeDirectory(fs, oldPath, callback);
+			});
+		});
+	}
+
+	/**
+	 * Removes the directory the assets were emitted to with output.atomic, when the build failed
+	 * @param {function(Error=): void} callback callback
+	 * @returns {void}
+	 */
+	discardOutput(callback) {
+		const pending = this._pendingOutput;
+		if (!pending) return callback();
+		this._pendingOutput = undefined;
+		removeDirectory(this.outputFileSystem, pending.tempPath, callback);
+	}
+
+	/**
+	 * Removes all files in the output directory which were not emitted by the current build
+	 * @param {string} outputPath the output directory
+	 * @param {Set<string>} targetPaths the files emitted by the current build
+	 * @param {function(Error=, number=): void} callback callback with the number of removed files
+	 * @returns {void}
+	 */
+	removeStaleFiles(outputPath, targetPaths, callback) {
+		const fs = this.outputFileSystem;
+		if (
+			typeof fs.readdir !== "function" ||
+			typeof fs.stat !== "function" ||
+			typeof fs.unlink !== "function" ||
+			typeof fs.rmdir !== "function"
+		) {
+			return callback(
+				new Error(
+					"output.removeStaleFiles needs an output file system with readdir, stat, unlink and rmdir"
+				)
+			);
+		}
+		//输出目录包含源代码时删除文件是危险的
+		if (containsContext(outputPath, this.context)) {
+			return callback(
+				new Error(
+					`output.removeStaleFiles: refusing to remove files in ${outputPath} because it contains the context ${
+						this.context
+					}`
+				)
+			);
+		}
+		const keep = new Set(targetPaths);
+		if (this.recordsOutputPath) keep.add(this.recordsOutputPath);
+		removeFiles(fs, outputPath, keep, (err, removed) => {
+			if (err) return callback(err);
+			callback(null, removed);
 		});
 	}
 
 	emitRecords(callback) {
 		if (!this.recordsOutputPath) return callback();
-		const idx1 = this.recordsOutputPath.lastIndexOf("/");
-		const idx2 = this.recordsOutputPath.lastIndexOf("\\");
+		let recordsOutputPath = this.recordsOutputPath;
+		//记录文件在输出目录里时，和资源一起写到临时目录
+		const pending = this._pendingOutput;
+		if (pending) {
+			const relative = path.relative(pending.outputPath, recordsOutputPath);
+			if (!relative.startsWith("..") && !path.isAbsolute(relative)) {
+				recordsOutputPath = this.outputFileSystem.join(
+					pending.tempPath,
+					relative
+				);
+			}
+		}
+		const idx1 = recordsOutputPath.lastIndexOf("/");
+		const idx2 = recordsOutputPath.lastIndexOf("\\");
 		let recordsOutputPathDirectory = null;
 		if (idx1 > idx2) {
-			recordsOutputPathDirectory = this.recordsOutputPath.substr(0, idx1);
+			recordsOutputPathDirectory = recordsOutputPath.substr(0, idx1);
 		} else if (idx1 < idx2) {
-			recordsOutputPathDirectory = this.recordsOutputPath.substr(0, idx2);
+			recordsOutputPathDirectory = recordsOutputPath.substr(0, idx2);
 		}
 
 		const writeFile = () => {
 			this.outputFileSystem.writeFile(
-				this.recordsOutputPath,
+				recordsOutputPath,
 				JSON.stringify(this.records, undefined, 2),
 				callback
 			);
@@ -494,7 +881,9 @@ class Compiler extends Tapable {
 		compilation.contextTimestamps = this.contextTimestamps;
 		compilation.name = this.name;
 		compilation.records = this.records;
+		compilation.persistentCache = this.persistentCache;
 		compilation.compilationDependencies = params.compilationDependencies;//编译依赖
+		compilation.signal = params.signal;
 		this.hooks.thisCompilation.call(compilation, params);//启动一次新的编译
 		//开启一次新的编译===compilation===
 		this.hooks.compilation.call(compilation, params);//编译
@@ -528,10 +917,25 @@ class Compiler extends Tapable {
 		return params;
 	}
 
-	compile(callback) {
+	/**
+	 * @param {function(Error=, Compilation=): void} callback callback
+	 * @param {CancellationSignal=} signal cancels the compilation, e.g. when the watched files changed again
+	 * @returns {void}
+	 */
+	compile(callback, signal) {
 		const params = this.newCompilationParams();
+		params.signal = signal;
+		//编译被取消时丢弃没有完成的结果，调用===cancelled===让插件做清理
+		const cancelled = compilation => {
+			if (!signal || !signal.cancelled) return false;
+			if (compilation) compilation.discardUnfinishedModules();
+			this.hooks.cancelled.call(compilation, signal.reason);
+			callback(new CompilationCancelledError(signal.reason));
+			return true;
+		};
 		//开始编译之前  ===beforeCompile===
 		this.hooks.beforeCompile.callAsync(params, err => {
+			if (cancelled()) return;
 			if (err) return callback(err);
 			//开始编译  ===compile===
 			this.hooks.compile.call(params);
@@ -539,12 +943,14 @@ class Compiler extends Tapable {
 			const compilation = this.newCompilation(params);
 			//最核心的一个事件,触发===make===事件并会调用addEntry方法,找到入口文件并进行下一次模块绑定
 			this.hooks.make.callAsync(compilation, err => {
+				if (cancelled(compilation)) return;
 				if (err) return callback(err);
 				//编译完成
 				//在seal之前，由于一轮compilition已经执行完成，先调用finish方法进行收尾处理与之对应的是我们注册的finish-modules事件，
 				compilation.finish();
 				//调用seal方法进行封装，逐次对每个module和chunk进行整理，生成编译后的源码，合并拆分。每个chunk对应一个入口文件
 				compilation.seal(err => {
+					if (cancelled(compilation)) return;
 					if (err) return callback(err);
 					///编译之后===afterCompile===
 					this.hooks.afterCompile.callAsync(compilation, err => {
@@ -0,0 +1,48 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+"use strict";
+const NullDependency = require("./NullDependency");
+
+class ConstDependency extends NullDependency {
+	/**
+	 * @param {string} expression the code replacing the range
+	 * @param {number|[number, number]} range the range or the position to insert the code
+	 * @param {boolean=} requireWebpackRequire true when the code uses __webpack_require__
+	 * @param {string[]=} runtimeRequirements the helpers of the runtime used by the code, see RuntimeGlobals
+	 */
+	constructor(expression, range, requireWebpackRequire, runtimeRequirements) {
+		super();
+		this.expression = expression;
+		this.range = range;
+		this.requireWebpackRequire = requireWebpackRequire;
+		this.runtimeRequirements = runtimeRequirements;
+	}
+
+	updateHash(hash) {
+		hash.update(this.range + "");
+		hash.update(this.expression + "");
+	}
+}
+
+ConstDependency.Template = class ConstDependencyTemplate {
+	apply(dep, source, runtime) {
+		if (dep.runtimeRequirements) {
+			for (const global of dep.runtimeRequirements) {
+				runtime.runtimeGlobal(global);
+			}
+		} else if (dep.requireWebpackRequire) {
+			//例如DefinePlugin的值，代码没有声明用到哪些辅助函数
+			runtime.scanRuntimeGlobals(dep.expression);
+		}
+		if (typeof dep.range === "number") {
+			source.insert(dep.range, dep.expression);
+			return;
+		}
+
+		source.replace(dep.range[0], dep.range[1] - 1, dep.expression);
+	}
+};
+
+module.exports = ConstDependency;
@@ -0,0 +1,52 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+"use strict";
+
+const RuntimeGlobals = require("./RuntimeGlobals");
+const RuntimeModule = require("./RuntimeModule");
+const Template = require("./Template");
+
+/** @typedef {import("./RuntimeModule").RuntimeModuleContext} RuntimeModuleContext */
+
+class CreateFakeNamespaceObjectRuntimeModule extends RuntimeModule {
+	constructor() {
+		super("create fake namespace object", [
+			RuntimeGlobals.makeNamespaceObject,
+			RuntimeGlobals.definePropertyGetters
+		]);
+	}
+
+	/**
+	 * @param {RuntimeModuleContext} context context
+	 * @returns {string} the code of the helper
+	 */
+	generate({ mainTemplate }) {
+		const fn = mainTemplate.requireFn;
+		return Template.asString([
+			"// create a fake namespace object",
+			"// mode & 1: value is a module id, require it",
+			"// mode & 2: merge all properties of value into the ns",
+			"// mode & 4: return value when already ns object",
+			"// mode & 8|1: behave like require",
+			`${fn}.t = function(value, mode) {`,
+			Template.indent([
+				`if(mode & 1) value = ${fn}(value);`,
+				`if(mode & 8) return value;`,
+				"if((mode & 4) && typeof value === 'object' && value && value.__esModule) return value;",
+				"var ns = Object.create(null);",
+				`${fn}.r(ns);`,
+				"Object.defineProperty(ns, 'default', { enumerable: true, value: value });",
+				"if(mode & 2 && typeof value != 'string') for(var key in value) " +
+					`${fn}.d(ns, key, function(key) { ` +
+					"return value[key]; " +
+					"}.bind(null, key));",
+				"return ns;"
+			]),
+			"};"
+		]);
+	}
+}
+
+module.exports = CreateFakeNamespaceObjectRuntimeModule;
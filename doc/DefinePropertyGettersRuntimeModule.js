@@ -0,0 +1,39 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+"use strict";
+
+const RuntimeGlobals = require("./RuntimeGlobals");
+const RuntimeModule = require("./RuntimeModule");
+const Template = require("./Template");
+
+/** @typedef {import("./RuntimeModule").RuntimeModuleContext} RuntimeModuleContext */
+
+class DefinePropertyGettersRuntimeModule extends RuntimeModule {
+	constructor() {
+		super("define property getters", [RuntimeGlobals.hasOwnProperty]);
+	}
+
+	/**
+	 * @param {RuntimeModuleContext} context context
+	 * @returns {string} the code of the helper
+	 */
+	generate({ mainTemplate }) {
+		const fn = mainTemplate.requireFn;
+		return Template.asString([
+			"// define getter function for harmony exports",
+			`${fn}.d = function(exports, name, getter) {`,
+			Template.indent([
+				`if(!${fn}.o(exports, name)) {`,
+				Template.indent([
+					"Object.defineProperty(exports, name, { enumerable: true, get: getter });"
+				]),
+				"}"
+			]),
+			"};"
+		]);
+	}
+}
+
+module.exports = DefinePropertyGettersRuntimeModule;
@@ -0,0 +1,62 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+"use strict";
+
+const { getChunkName, assignDeterministicIds } = require("./deterministicIds");
+
+/** @typedef {import("./Compiler")} Compiler */
+/** @typedef {import("./DeterministicModuleIdsPlugin").DeterministicIdsPluginOptions} DeterministicIdsPluginOptions */
+
+class DeterministicChunkIdsPlugin {
+	/**
+	 * @param {DeterministicIdsPluginOptions=} options options object
+	 */
+	constructor(options) {
+		this.options = Object.assign({ context: null, maxLength: 3 }, options);
+	}
+
+	/**
+	 * @param {Compiler} compiler the compiler instance
+	 * @returns {void}
+	 */
+	apply(compiler) {
+		compiler.hooks.compilation.tap(
+			"DeterministicChunkIdsPlugin",
+			compilation => {
+				compilation.hooks.beforeChunkIds.tap(
+					"DeterministicChunkIdsPlugin",
+					chunks => {
+						const context = this.options.context || compiler.options.context;
+						const usedIds = new Set(compilation.usedChunkIds);
+						const items = [];
+						for (const chunk of chunks) {
+							if (chunk.id === null) {
+								items.push(chunk);
+							} else {
+								usedIds.add(chunk.id);
+							}
+						}
+						//没有名字的代码块用它包含的模块作为名字，模块的id这时已经确定
+						assignDeterministicIds(
+							items,
+							chunk => getChunkName(chunk, context),
+							(chunk, id) => {
+								chunk.id = id;
+								chunk.ids = [id];
+							},
+							usedIds,
+							{
+								maxLength: this.options.maxLength,
+								hashFunction: compilation.outputOptions.hashFunction
+							}
+						);
+					}
+				);
+			}
+		);
+	}
+}
+
+module.exports = DeterministicChunkIdsPlugin;
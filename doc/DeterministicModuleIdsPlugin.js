@@ -0,0 +1,81 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+"use strict";
+
+const { makePathsRelative } = require("./util/identifier");
+const { getModuleName, assignDeterministicIds } = require("./deterministicIds");
+
+/** @typedef {import("./Compiler")} Compiler */
+
+/**
+ * @typedef {Object} DeterministicIdsPluginOptions
+ * @property {string=} context context used to create the names, defaults to the context of the compiler
+ * @property {number=} maxLength digits of the ids while there are few items, defaults to 3
+ */
+
+class DeterministicModuleIdsPlugin {
+	/**
+	 * @param {DeterministicIdsPluginOptions=} options options object
+	 */
+	constructor(options) {
+		this.options = Object.assign({ context: null, maxLength: 3 }, options);
+	}
+
+	/**
+	 * @param {Compiler} compiler the compiler instance
+	 * @returns {void}
+	 */
+	apply(compiler) {
+		compiler.hooks.compilation.tap(
+			"DeterministicModuleIdsPlugin",
+			compilation => {
+				compilation.hooks.beforeModuleIds.tap(
+					"DeterministicModuleIdsPlugin",
+					modules => {
+						const context = this.options.context || compiler.options.context;
+						//records中的id保持不变，新的id不能和它们重复
+						const usedIds = new Set(compilation.usedModuleIds);
+						const items = [];
+						for (const module of modules) {
+							if (module.id === null) {
+								items.push(module);
+							} else {
+								usedIds.add(module.id);
+							}
+						}
+						//名字相同的模块按identifier排序，和构建的顺序无关
+						const identifiers = new Map(
+							items.map(module => [
+								module,
+								makePathsRelative(context, module.identifier())
+							])
+						);
+						items.sort((a, b) => {
+							const identifierA = identifiers.get(a);
+							const identifierB = identifiers.get(b);
+							if (identifierA < identifierB) return -1;
+							if (identifierA > identifierB) return 1;
+							return 0;
+						});
+						assignDeterministicIds(
+							items,
+							module => getModuleName(module, context),
+							(module, id) => {
+								module.id = id;
+							},
+							usedIds,
+							{
+								maxLength: this.options.maxLength,
+								hashFunction: compilation.outputOptions.hashFunction
+							}
+						);
+					}
+				);
+			}
+		);
+	}
+}
+
+module.exports = DeterministicModuleIdsPlugin;
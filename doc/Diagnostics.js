@@ -0,0 +1,229 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+"use strict";
+
+const path = require("path");
+
+/** @typedef {import("./Compilation")} Compilation */
+/** @typedef {import("./Module")} Module */
+
+/**
+ * @typedef {Object} Position
+ * @property {number} line line, starting at 1
+ * @property {number} column column, starting at 0 like in dependency.loc
+ */
+
+/**
+ * @typedef {Object} Range
+ * @property {Position} start start of the range
+ * @property {Position} end end of the range
+ */
+
+/**
+ * @typedef {Object} Diagnostic
+ * @property {string} code stable code of the problem, e.g. WP_MODULE_NOT_FOUND
+ * @property {"error"|"warning"} severity severity
+ * @property {string} message short message, the first line of the error
+ * @property {string=} hint how to fix the problem
+ * @property {string=} file the file with the problem, relative to the context
+ * @property {Range=} range the location in the file
+ * @property {Range=} generatedRange the location in the code returned by the loaders, when it could not be mapped to the file
+ * @property {string=} compilation name of the compilation (child compilations and multiple configurations)
+ */
+
+//内置的错误类型不能说明问题是什么，例如插件直接加入的new Error()
+const BUILTIN_ERROR_NAMES = new Set([
+	"Error",
+	"EvalError",
+	"RangeError",
+	"ReferenceError",
+	"SyntaxError",
+	"TypeError",
+	"URIError"
+]);
+
+/**
+ * @param {string} name name of an error class
+ * @returns {string} a code derived from the name, e.g. ChunkRenderError -> WP_CHUNK_RENDER, WP_UNKNOWN for Error and the other built-in errors
+ */
+const codeFromName = name => {
+	const stripped = name.replace(/(Error|Warning)$/, "");
+	if (!stripped || BUILTIN_ERROR_NAMES.has(name)) return "WP_UNKNOWN";
+	return "WP_" + stripped.replace(/([a-z0-9])([A-Z])/g, "$1_$2").toUpperCase();
+};
+
+/**
+ * @param {any} loc a dependency location
+ * @returns {Range|undefined} the range, when the location has a line
+ */
+const toRange = loc => {
+	if (!loc || typeof loc !== "object") return undefined;
+	if (loc.start && typeof loc.start.line === "number") {
+		const end =
+			loc.end && typeof loc.end.line === "number" ? loc.end : loc.start;
+		return {
+			start: { line: loc.start.line, column: loc.start.column || 0 },
+			end: { line: end.line, column: end.column || 0 }
+		};
+	}
+	// 解析错误的位置只有一个点
+	if (typeof loc.line === "number") {
+		const position = { line: loc.line, column: loc.column || 0 };
+		return { start: position, end: position };
+	}
+	return undefined;
+};
+
+/**
+ * @param {string} message a message
+ * @returns {string} the first non empty line of the message
+ */
+const firstLine = message =>
+	String(message)
+		.split("\n")
+		.map(line => line.trim())
+		.find(Boolean) || "";
+
+/**
+ * @param {Error&any} error an error or warning of a compilation
+ * @param {"error"|"warning"} severity severity
+ * @param {string} context the context, files are relative to it
+ * @returns {Diagnostic} the diagnostic
+ */
+const toDiagnostic = (error, severity, context) => {
+	// 外层的错误消息带着"Module build failed (from ...)"这样的前缀，优先使用原始错误的消息
+	const inner = error.error || error.warning;
+	const message =
+		inner && typeof inner === "object" && inner.message
+			? inner.message
+			: error.message;
+	/** @type {Diagnostic} */
+	const diagnostic = {
+		code: error.code || codeFromName(error.name || "Error"),
+		severity,
+		message: firstLine(message)
+	};
+	if (error.hint) diagnostic.hint = error.hint;
+	/** @type {Module} */
+	const module = error.module || error.origin;
+	const resource =
+		module && module.nameForCondition && module.nameForCondition();
+	if (resource && path.isAbsolute(resource)) {
+		diagnostic.file = path.relative(context, resource).replace(/\\/g, "/");
+	}
+	// loader返回了source map时使用原始文件中的位置
+	if (error.originalLoc) {
+		const range = toRange(error.originalLoc);
+		if (range) diagnostic.range = range;
+		return diagnostic;
+	}
+	const range = toRange(
+		error.loc ||
+			(error.dependencies &&
+				error.dependencies.length > 0 &&
+				error.dependencies[0].loc)
+	);
+	if (!range) return diagnostic;
+	// 执行过loader时位置是loader返回的代码中的，不能标注在原始文件上
+	if (module && module.loaders && module.loaders.length > 0) {
+		diagnostic.generatedRange = range;
+	} else {
+		diagnostic.range = range;
+	}
+	return diagnostic;
+};
+
+/**
+ * @param {Compilation} compilation the compilation
+ * @returns {Diagnostic[]} the errors and warnings of the compilation and its child compilations
+ */
+const getDiagnostics = compilation => {
+	const context = compilation.compiler.context;
+	const result = [];
+	const add = (compilation, name) => {
+		for (const error of compilation.errors) {
+			result.push(Object.assign(toDiagnostic(error, "error", context), name));
+		}
+		for (const warning of compilation.warnings) {
+			result.push(
+				Object.assign(toDiagnostic(warning, "warning", context), name)
+			);
+		}
+		for (const child of compilation.children) {
+			add(child, { compilation: child.name });
+		}
+	};
+	add(compilation, compilation.name ? { compilation: compilation.name } : {});
+	return result;
+};
+
+/**
+ * @param {Diagnostic[]} diagnostics diagnostics
+ * @returns {string} one JSON object per line
+ */
+const formatJsonLines = diagnostics =>
+	diagnostics.map(diagnostic => JSON.stringify(diagnostic) + "\n").join("");
+
+/**
+ * Creates a SARIF 2.1.0 log, which code review tools use to annotate the lines of a pull request
+ * @param {Diagnostic[]} diagnostics diagnostics
+ * @param {string} version the version of webpack
+ * @returns {Object} the SARIF log
+ */
+const toSarif = (diagnostics, version) => {
+	const rules = Array.from(new Set(diagnostics.map(d => d.code)))
+		.sort()
+		.map(id => ({ id }));
+	const results = diagnostics.map(diagnostic => {
+		const result = {
+			ruleId: diagnostic.code,
+			level: diagnostic.severity,
+			message: {
+				text: diagnostic.hint
+					? `${diagnostic.message}\n${diagnostic.hint}`
+					: diagnostic.message
+			}
+		};
+		if (diagnostic.file) {
+			const physicalLocation = {
+				artifactLocation: { uri: diagnostic.file, uriBaseId: "%SRCROOT%" }
+			};
+			// SARIF的列从1开始
+			if (diagnostic.range) {
+				physicalLocation.region = {
+					startLine: diagnostic.range.start.line,
+					startColumn: diagnostic.range.start.column + 1,
+					endLine: diagnostic.range.end.line,
+					endColumn: diagnostic.range.end.column + 1
+				};
+			}
+			result.locations = [{ physicalLocation }];
+		}
+		return result;
+	});
+	return {
+		$schema: "https://json.schemastore.org/sarif-2.1.0.json",
+		version: "2.1.0",
+		runs: [
+			{
+				tool: {
+					driver: {
+						name: "webpack",
+						version,
+						informationUri: "https://webpack.js.org/",
+						rules
+					}
+				},
+				results
+			}
+		]
+	};
+};
+
+exports.codeFromName = codeFromName;
+exports.toDiagnostic = toDiagnostic;
+exports.getDiagnostics = getDiagnostics;
+exports.formatJsonLines = formatJsonLines;
+exports.toSarif = toSarif;
@@ -0,0 +1,41 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+"use strict";
+
+const RuntimeGlobals = require("./RuntimeGlobals");
+const RuntimeModule = require("./RuntimeModule");
+const Template = require("./Template");
+
+/** @typedef {import("./RuntimeModule").RuntimeModuleContext} RuntimeModuleContext */
+
+class EnsureChunkRuntimeModule extends RuntimeModule {
+	constructor() {
+		//jsonp等加载方式用publicPath拼出代码块的地址
+		super("ensure chunk", [RuntimeGlobals.publicPath]);
+	}
+
+	/**
+	 * @param {RuntimeModuleContext} context context
+	 * @returns {string} the code of the helper
+	 */
+	generate({ chunk, hash, mainTemplate }) {
+		// Check if there are non initial chunks which need to be imported using require-ensure
+		if (Object.keys(chunk.getChunkMaps().hash).length === 0) return "";
+		//具体的加载方式由JsonpMainTemplatePlugin等插件通过requireEnsure钩子提供
+		return Template.asString([
+			"// This file contains only the entry chunk.",
+			"// The chunk loading function for additional chunks",
+			`${mainTemplate.requireFn}.e = function requireEnsure(chunkId) {`,
+			Template.indent([
+				"var promises = [];",
+				mainTemplate.hooks.requireEnsure.call("", chunk, hash, "chunkId"),
+				"return Promise.all(promises);"
+			]),
+			"};"
+		]);
+	}
+}
+
+module.exports = EnsureChunkRuntimeModule;
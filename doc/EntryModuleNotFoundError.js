@@ -0,0 +1,25 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+"use strict";
+
+const WebpackError = require("./WebpackError");
+
+class EntryModuleNotFoundError extends WebpackError {
+	constructor(err) {
+		super("Entry module not found: " + err);
+
+		this.name = "EntryModuleNotFoundError";
+		this.code = "WP_ENTRY_NOT_FOUND";
+		this.hint = "Check the entry option and the context of the configuration";
+		this.details = err.details;
+		//resolve.explain开启时解析器记录的所有尝试过的步骤
+		this.explain = err.explain;
+		this.error = err;
+
+		Error.captureStackTrace(this, this.constructor);
+	}
+}
+
+module.exports = EntryModuleNotFoundError;
@@ -0,0 +1,34 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+"use strict";
+
+const { ConcatSource } = require("webpack-sources");
+
+/** @typedef {import("./ChunkTemplate")} ChunkTemplate */
+
+class EsModuleChunkTemplatePlugin {
+	/**
+	 * @param {ChunkTemplate} chunkTemplate the chunk template
+	 * @returns {void}
+	 */
+	apply(chunkTemplate) {
+		//代码块是一个ES模块，运行时用import()或者静态导入得到它的命名空间对象后安装
+		chunkTemplate.hooks.render.tap(
+			"EsModuleChunkTemplatePlugin",
+			(modules, chunk) => {
+				const source = new ConcatSource();
+				source.add(`export var ids = ${JSON.stringify(chunk.ids)};\n`);
+				source.add("export var modules = ");
+				source.add(modules);
+				return source;
+			}
+		);
+		chunkTemplate.hooks.hash.tap("EsModuleChunkTemplatePlugin", hash => {
+			hash.update("EsModuleChunkTemplatePlugin");
+			hash.update("1");
+		});
+	}
+}
+module.exports = EsModuleChunkTemplatePlugin;
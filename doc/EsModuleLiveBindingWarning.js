@@ -0,0 +1,32 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+"use strict";
+
+const WebpackError = require("./WebpackError");
+
+/** @typedef {import("./Module")} Module */
+
+class EsModuleLiveBindingWarning extends WebpackError {
+	/**
+	 * @param {Module} module the entry module
+	 * @param {string} name the exported name
+	 */
+	constructor(module, name) {
+		super(
+			`The export '${name}' of the entry module is declared with let or var.\n` +
+				"output.module exports a copy of its value taken after the entry module has run, " +
+				"later assignments are not visible to importers of the bundle."
+		);
+
+		this.name = "EsModuleLiveBindingWarning";
+		this.code = "WP_ES_MODULE_LIVE_BINDING";
+
+		this.module = module;
+
+		Error.captureStackTrace(this, this.constructor);
+	}
+}
+
+module.exports = EsModuleLiveBindingWarning;
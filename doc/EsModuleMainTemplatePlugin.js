@@ -0,0 +1,322 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+"use strict";
+
+const path = require("path");
+const { ConcatSource } = require("webpack-sources");
+const Template = require("./Template");
+
+/** @typedef {import("./MainTemplate")} MainTemplate */
+/** @typedef {import("./Chunk")} Chunk */
+
+/**
+ * @param {Chunk} chunk the entry chunk
+ * @returns {Chunk[]} the other chunks of the entrypoint, they are imported statically before the entry module runs
+ */
+const getInitialChunks = chunk => {
+	if (!chunk.hasEntryModule()) return [];
+	return Array.from(chunk.groupsIterable)[0].chunks.filter(c => c !== chunk);
+};
+
+/**
+ * @param {MainTemplate} mainTemplate the main template
+ * @param {Chunk} chunk a chunk
+ * @param {string} hash the hash of the compilation
+ * @returns {string} the file of the chunk in the output directory
+ */
+const getChunkFile = (mainTemplate, chunk, hash) => {
+	const outputOptions = mainTemplate.outputOptions;
+	//和JavascriptModulesPlugin一样，有运行时的代码块用filename，其他的用chunkFilename
+	const filenameTemplate =
+		chunk.filenameTemplate ||
+		(chunk.hasRuntime() ? outputOptions.filename : outputOptions.chunkFilename);
+	return mainTemplate.getAssetPath(filenameTemplate, {
+		hash,
+		chunk,
+		contentHashType: "javascript"
+	});
+};
+
+/**
+ * @param {Chunk} chunk the entry chunk
+ * @returns {string[]|null} the names exported by the entry module, null when they are not known statically
+ */
+const getEntryExports = chunk => {
+	const module = chunk.entryModule;
+	const providedExports = module.buildMeta && module.buildMeta.providedExports;
+	return Array.isArray(providedExports) ? providedExports : null;
+};
+
+class EsModuleMainTemplatePlugin {
+	/**
+	 * @param {MainTemplate} mainTemplate the main template
+	 * @returns {void}
+	 */
+	apply(mainTemplate) {
+		const needChunkOnDemandLoadingCode = chunk => {
+			for (const chunkGroup of chunk.groupsIterable) {
+				if (chunkGroup.getNumberOfChildren() > 0) return true;
+			}
+			return false;
+		};
+		const needChunkLoadingCode = chunk => {
+			for (const chunkGroup of chunk.groupsIterable) {
+				if (chunkGroup.chunks.length > 1) return true;
+				if (chunkGroup.getNumberOfChildren() > 0) return true;
+			}
+			return false;
+		};
+
+		const getScriptSrcPath = (hash, chunk, chunkIdExpression) => {
+			const chunkFilename = mainTemplate.outputOptions.chunkFilename;
+			const chunkMaps = chunk.getChunkMaps();
+			return mainTemplate.getAssetPath(JSON.stringify(chunkFilename), {
+				hash: `" + ${mainTemplate.renderCurrentHashCode(hash)} + "`,
+				hashWithLength: length =>
+					`" + ${mainTemplate.renderCurrentHashCode(hash, length)} + "`,
+				chunk: {
+					id: `" + ${chunkIdExpression} + "`,
+					hash: `" + ${JSON.stringify(
+						chunkMaps.hash
+					)}[${chunkIdExpression}] + "`,
+					hashWithLength(length) {
+						const shortChunkHashMap = Object.create(null);
+						for (const chunkId of Object.keys(chunkMaps.hash)) {
+							if (typeof chunkMaps.hash[chunkId] === "string") {
+								shortChunkHashMap[chunkId] = chunkMaps.hash[chunkId].substr(
+									0,
+									length
+								);
+							}
+						}
+						return `" + ${JSON.stringify(
+							shortChunkHashMap
+						)}[${chunkIdExpression}] + "`;
+					},
+					name: `" + (${JSON.stringify(
+						chunkMaps.name
+					)}[${chunkIdExpression}]||${chunkIdExpression}) + "`,
+					contentHash: {
+						javascript: `" + ${JSON.stringify(
+							chunkMaps.contentHash.javascript
+						)}[${chunkIdExpression}] + "`
+					},
+					contentHashWithLength: {
+						javascript: length => {
+							const shortContentHashMap = {};
+							const contentHash = chunkMaps.contentHash.javascript;
+							for (const chunkId of Object.keys(contentHash)) {
+								if (typeof contentHash[chunkId] === "string") {
+									shortContentHashMap[chunkId] = contentHash[chunkId].substr(
+										0,
+										length
+									);
+								}
+							}
+							return `" + ${JSON.stringify(
+								shortContentHashMap
+							)}[${chunkIdExpression}] + "`;
+						}
+					}
+				},
+				contentHashType: "javascript"
+			});
+		};
+		mainTemplate.hooks.localVars.tap(
+			"EsModuleMainTemplatePlugin",
+			(source, chunk, hash) => {
+				const extraCode = [];
+				if (needChunkLoadingCode(chunk)) {
+					extraCode.push(
+						"",
+						"// object to store loaded and loading chunks",
+						"// undefined = chunk not loaded, Promise = chunk loading, 0 = chunk loaded",
+						"var installedChunks = {",
+						Template.indent(
+							chunk.ids.map(id => `${JSON.stringify(id)}: 0`).join(",\n")
+						),
+						"};"
+					);
+				}
+				if (needChunkOnDemandLoadingCode(chunk)) {
+					extraCode.push(
+						"",
+						"// script path function",
+						"function moduleChunkSrc(chunkId) {",
+						Template.indent([
+							`return ${mainTemplate.requireFn}.p + ${getScriptSrcPath(
+								hash,
+								chunk,
+								"chunkId"
+							)}`
+						]),
+						"}"
+					);
+				}
+				if (extraCode.length === 0) return source;
+				return Template.asString([source, ...extraCode]);
+			}
+		);
+		mainTemplate.hooks.bootstrap.tap(
+			"EsModuleMainTemplatePlugin",
+			(source, chunk, hash) => {
+				if (!needChunkLoadingCode(chunk)) return source;
+				return Template.asString([
+					source,
+					"",
+					"// install a chunk, the namespace object of the chunk module",
+					"function installChunk(chunk) {",
+					Template.indent([
+						"var chunkIds = chunk.ids;",
+						"var moreModules = chunk.modules;",
+						"for(var moduleId in moreModules) {",
+						Template.indent([
+							"if(Object.prototype.hasOwnProperty.call(moreModules, moduleId)) {",
+							Template.indent(
+								mainTemplate.renderAddModule(
+									hash,
+									chunk,
+									"moduleId",
+									"moreModules[moduleId]"
+								)
+							),
+							"}"
+						]),
+						"}",
+						"for(var i = 0; i < chunkIds.length; i++) {",
+						Template.indent("installedChunks[chunkIds[i]] = 0;"),
+						"}"
+					]),
+					"}"
+				]);
+			}
+		);
+		mainTemplate.hooks.requireEnsure.tap(
+			"EsModuleMainTemplatePlugin load",
+			(source, chunk, hash) => {
+				return Template.asString([
+					source,
+					"",
+					"// import() chunk loading for javascript",
+					"",
+					"var installedChunkData = installedChunks[chunkId];",
+					'if(installedChunkData !== 0) { // 0 means "already installed".',
+					Template.indent([
+						"",
+						'// a Promise means "currently loading".',
+						"if(installedChunkData) {",
+						Template.indent(["promises.push(installedChunkData);"]),
+						"} else {",
+						Template.indent([
+							"installedChunkData = installedChunks[chunkId] = import(moduleChunkSrc(chunkId)).then(installChunk, function(error) {",
+							Template.indent([
+								"installedChunks[chunkId] = undefined;",
+								"throw error;"
+							]),
+							"});",
+							"promises.push(installedChunkData);"
+						]),
+						"}"
+					]),
+					"}"
+				]);
+			}
+		);
+		mainTemplate.hooks.requireExtensions.tap(
+			"EsModuleMainTemplatePlugin",
+			(source, chunk) => {
+				if (!needChunkOnDemandLoadingCode(chunk)) return source;
+
+				return Template.asString([
+					source,
+					"",
+					"// on error function for async loading",
+					`${
+						mainTemplate.requireFn
+					}.oe = function(err) { console.error(err); throw err; };`
+				]);
+			}
+		);
+		mainTemplate.hooks.beforeStartup.tap(
+			"EsModuleMainTemplatePlugin",
+			(source, chunk, hash) => {
+				const initialChunks = getInitialChunks(chunk);
+				if (initialChunks.length === 0) return source;
+				return Template.asString([
+					"// install the chunks imported at the top of the file",
+					...initialChunks.map(
+						(c, i) => `installChunk(__webpack_initial_chunk_${i}__);`
+					),
+					"",
+					source
+				]);
+			}
+		);
+		mainTemplate.hooks.renderWithEntry.tap(
+			"EsModuleMainTemplatePlugin",
+			(source, chunk, hash) => {
+				const result = new ConcatSource();
+				//入口的其他代码块静态导入，这样入口模块执行前它们已经加载完成
+				const file = getChunkFile(mainTemplate, chunk, hash);
+				getInitialChunks(chunk).forEach((c, i) => {
+					let request = path.posix.relative(
+						path.posix.dirname(file),
+						getChunkFile(mainTemplate, c, hash)
+					);
+					if (!request.startsWith("../")) request = `./${request}`;
+					result.add(
+						`import * as __webpack_initial_chunk_${i}__ from ${JSON.stringify(
+							request
+						)};\n`
+					);
+				});
+				result.add("var __webpack_exports__ = ");
+				result.add(source);
+				result.add(";\n");
+				const exports = getEntryExports(chunk);
+				if (!exports) {
+					result.add("export default __webpack_exports__");
+					return result;
+				}
+				//导出的值是入口模块执行后的快照
+				const specifiers = exports.map((name, i) => {
+					result.add(
+						`var __webpack_export_${i}__ = __webpack_exports__[${JSON.stringify(
+							name
+						)}];\n`
+					);
+					return `__webpack_export_${i}__ as ${name}`;
+				});
+				if (specifiers.length > 0) {
+					result.add(`export { ${specifiers.join(", ")} }`);
+				}
+				return result;
+			}
+		);
+		mainTemplate.hooks.hashForChunk.tap(
+			"EsModuleMainTemplatePlugin",
+			(hash, chunk) => {
+				hash.update(
+					JSON.stringify(
+						getInitialChunks(chunk).map(c => [
+							c.id,
+							c.filenameTemplate,
+							c.renderedHash,
+							c.contentHash.javascript
+						])
+					)
+				);
+				if (chunk.hasEntryModule()) {
+					hash.update(JSON.stringify(getEntryExports(chunk)));
+				}
+			}
+		);
+		mainTemplate.hooks.hash.tap("EsModuleMainTemplatePlugin", hash => {
+			hash.update("esmodule");
+			hash.update("1");
+		});
+	}
+}
+module.exports = EsModuleMainTemplatePlugin;
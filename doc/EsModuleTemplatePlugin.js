@@ -0,0 +1,116 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+"use strict";
+
+const EsModuleMainTemplatePlugin = require("./EsModuleMainTemplatePlugin");
+const EsModuleChunkTemplatePlugin = require("./EsModuleChunkTemplatePlugin");
+const EsModuleLiveBindingWarning = require("./EsModuleLiveBindingWarning");
+
+/** @typedef {import("./Compiler")} Compiler */
+
+/**
+ * @param {object} pattern an identifier or a destructuring pattern
+ * @param {Set<string>} names the declared names are added
+ * @returns {void}
+ */
+const collectPatternNames = (pattern, names) => {
+	if (!pattern) return;
+	switch (pattern.type) {
+		case "Identifier":
+			names.add(pattern.name);
+			break;
+		case "ObjectPattern":
+			for (const property of pattern.properties) {
+				collectPatternNames(
+					property.type === "RestElement" ? property : property.value,
+					names
+				);
+			}
+			break;
+		case "ArrayPattern":
+			for (const element of pattern.elements) {
+				collectPatternNames(element, names);
+			}
+			break;
+		case "RestElement":
+			collectPatternNames(pattern.argument, names);
+			break;
+		case "AssignmentPattern":
+			collectPatternNames(pattern.left, names);
+			break;
+	}
+};
+
+/**
+ * Renders the entry chunks and the other chunks as ES modules, chunks are loaded with import()
+ */
+class EsModuleTemplatePlugin {
+	/**
+	 * @param {Compiler} compiler the compiler
+	 * @returns {void}
+	 */
+	apply(compiler) {
+		compiler.hooks.thisCompilation.tap(
+			"EsModuleTemplatePlugin",
+			(compilation, { normalModuleFactory }) => {
+				new EsModuleMainTemplatePlugin().apply(compilation.mainTemplate);
+				new EsModuleChunkTemplatePlugin().apply(compilation.chunkTemplate);
+
+				//入口模块的导出是执行后的快照，let/var导出之后的赋值对导入方不可见
+				const handler = parser => {
+					let mutableNames;
+					parser.hooks.program.tap("EsModuleTemplatePlugin", ast => {
+						mutableNames = new Set();
+						for (let statement of ast.body) {
+							if (
+								statement.type === "ExportNamedDeclaration" &&
+								statement.declaration
+							) {
+								statement = statement.declaration;
+							}
+							if (
+								statement.type === "VariableDeclaration" &&
+								statement.kind !== "const"
+							) {
+								for (const declarator of statement.declarations) {
+									collectPatternNames(declarator.id, mutableNames);
+								}
+							}
+						}
+					});
+					parser.hooks.exportSpecifier.tap(
+						"EsModuleTemplatePlugin",
+						(statement, id, name) => {
+							if (typeof id !== "string" || !mutableNames.has(id)) return;
+							const buildInfo = parser.state.module.buildInfo;
+							if (!buildInfo.mutableExports) buildInfo.mutableExports = [];
+							buildInfo.mutableExports.push(name);
+						}
+					);
+				};
+				normalModuleFactory.hooks.parser
+					.for("javascript/auto")
+					.tap("EsModuleTemplatePlugin", handler);
+				normalModuleFactory.hooks.parser
+					.for("javascript/esm")
+					.tap("EsModuleTemplatePlugin", handler);
+
+				compilation.hooks.afterChunks.tap("EsModuleTemplatePlugin", chunks => {
+					for (const chunk of chunks) {
+						const module = chunk.entryModule;
+						if (!module || !module.buildInfo.mutableExports) continue;
+						for (const name of module.buildInfo.mutableExports) {
+							compilation.warnings.push(
+								new EsModuleLiveBindingWarning(module, name)
+							);
+						}
+					}
+				});
+			}
+		);
+	}
+}
+
+module.exports = EsModuleTemplatePlugin;
@@ -0,0 +1,135 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+"use strict";
+
+const asyncLib = require("neo-async");
+const createHash = require("./util/createHash");
+
+/**
+ * @typedef {Object} FileContentEntry
+ * @property {number} mtime modification time when the content was hashed
+ * @property {number} size size of the file in bytes
+ * @property {string} hash content hash of the file
+ * @property {number} changed time the content changed last, used instead of the mtime
+ */
+
+/**
+ * 记录被监听文件的内容hash，修改时间变了但内容没变的文件(比如touch或者切换git分支)
+ * 不会被当作修改，NormalModule.needRebuild看到的是内容最后一次变化的时间
+ */
+class FileContentHashes {
+	/**
+	 * @param {TODO} inputFileSystem file system to read the files
+	 * @param {string=} hashFunction hash function used for the file contents
+	 */
+	constructor(inputFileSystem, hashFunction) {
+		this.inputFileSystem = inputFileSystem;
+		this.hashFunction = hashFunction || "md4";
+		/** @type {Map<string, FileContentEntry>} */
+		this.entries = new Map();
+	}
+
+	/**
+	 * Hashes files that are not tracked yet, called with the dependencies of a compilation
+	 * @param {Iterable<string>} files files
+	 * @param {function(Error=): void} callback callback
+	 * @returns {void}
+	 */
+	snapshot(files, callback) {
+		asyncLib.forEachLimit(
+			Array.from(files).filter(file => !this.entries.has(file)),
+			15,
+			(file, callback) => {
+				this._readEntry(file, (err, entry) => {
+					// 文件不存在或者不是文件的话不跟踪，按时间戳处理
+					if (err || !entry) return callback();
+					entry.changed = entry.mtime;
+					this.entries.set(file, entry);
+					callback();
+				});
+			},
+			callback
+		);
+	}
+
+	/**
+	 * Checks the content of modified files
+	 * @param {string[]} files files the watcher reported as modified
+	 * @param {Map<string, number>} fileTimestamps timestamps from the watcher
+	 * @param {function(Error=, string[]=): void} callback called with the files which content really changed
+	 * @returns {void}
+	 */
+	update(files, fileTimestamps, callback) {
+		const changedFiles = [];
+		asyncLib.forEachLimit(
+			files,
+			15,
+			(file, callback) => {
+				const oldEntry = this.entries.get(file);
+				this._readEntry(file, (err, entry) => {
+					if (err || !entry) {
+						this.entries.delete(file);
+						changedFiles.push(file);
+						return callback();
+					}
+					if (oldEntry && oldEntry.hash === entry.hash) {
+						entry.changed = oldEntry.changed;
+					} else {
+						entry.changed = fileTimestamps.get(file) || entry.mtime;
+						changedFiles.push(file);
+					}
+					this.entries.set(file, entry);
+					callback();
+				});
+			},
+			err => {
+				if (err) return callback(err);
+				callback(null, changedFiles.sort());
+			}
+		);
+	}
+
+	/**
+	 * @param {Map<string, number>} fileTimestamps timestamps from the watcher
+	 * @returns {Map<string, number>} timestamps where the mtime is replaced with the time the content changed
+	 */
+	applyTo(fileTimestamps) {
+		const result = new Map(fileTimestamps);
+		for (const [file, entry] of this.entries) {
+			if (result.has(file)) result.set(file, entry.changed);
+		}
+		return result;
+	}
+
+	_readEntry(file, callback) {
+		const fs = this.inputFileSystem;
+		fs.stat(file, (err, stat) => {
+			if (err) return callback(err);
+			if (!stat.isFile()) return callback();
+			const oldEntry = this.entries.get(file);
+			// 修改时间和大小都没有变就不再读取文件内容了
+			if (
+				oldEntry &&
+				oldEntry.mtime === +stat.mtime &&
+				oldEntry.size === stat.size
+			) {
+				return callback(null, Object.assign({}, oldEntry));
+			}
+			fs.readFile(file, (err, content) => {
+				if (err) return callback(err);
+				const hash = createHash(this.hashFunction);
+				hash.update(content);
+				callback(null, {
+					mtime: +stat.mtime,
+					size: stat.size,
+					hash: hash.digest("hex"),
+					changed: 0
+				});
+			});
+		});
+	}
+}
+
+module.exports = FileContentHashes;
@@ -0,0 +1,322 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const mkdirp = require("mkdirp");
+const asyncLib = require("neo-async");
+const parseJson = require("json-parse-better-errors");
+const createHash = require("./util/createHash");
+
+/** @typedef {import("./Module")} Module */
+/** @typedef {import("./NormalModule")} NormalModule */
+
+/**
+ * @typedef {Object} FileSnapshot
+ * @property {number} mtime last modification time when the entry was stored
+ * @property {number} size size of the file in bytes
+ * @property {string=} hash content hash of the file
+ */
+
+/**
+ * @typedef {Object} CacheEntry
+ * @property {Object} data serialized build result, see NormalModule.serializeBuildResult
+ * @property {Object<string, FileSnapshot>} fileDependencies snapshots of the files read by the loaders
+ * @property {Object<string, FileSnapshot>} contextDependencies snapshots of the directories watched by the loaders
+ * @property {Object<string, FileSnapshot>} loaderDependencies snapshots of the loader files and their package.json
+ */
+
+/**
+ * @typedef {Object} FileSystemCacheOptions
+ * @property {string} cacheFile path of the JSON file that stores the entries
+ * @property {string} version hash of everything that invalidates all entries (config, webpack version)
+ * @property {string=} hashFunction hash function used for the file contents
+ * @property {function(): any} getFileSystem returns the input file system used to revalidate entries
+ */
+
+/**
+ * 把loader处理后的模块结果持久化到磁盘上，进程重启后依然可以复用
+ * 每一个条目都会记录它所依赖的文件的修改时间和内容hash，读取时重新校验
+ */
+class FileSystemCache {
+	/**
+	 * @param {FileSystemCacheOptions} options options
+	 */
+	constructor(options) {
+		this.cacheFile = options.cacheFile;
+		this.version = options.version;
+		this.hashFunction = options.hashFunction || "md4";
+		this.getFileSystem = options.getFileSystem;
+		/** @type {Map<string, CacheEntry>} */
+		this.entries = new Map();
+		this.loaded = false;
+		this.dirty = false;
+	}
+
+	/**
+	 * Reads the cache file once. Entries written by another config or webpack version are dropped.
+	 * @param {function(Error=): void} callback callback
+	 * @returns {void}
+	 */
+	load(callback) {
+		if (this.loaded) return callback();
+		fs.readFile(this.cacheFile, "utf-8", (err, content) => {
+			this.loaded = true;
+			// 缓存文件不存在说明是第一次编译
+			if (err) return callback();
+			let data;
+			try {
+				data = parseJson(content);
+			} catch (e) {
+				// A broken cache file is not worth failing the build for
+				this.dirty = true;
+				return callback();
+			}
+			if (!data || data.version !== this.version) {
+				this.dirty = true;
+				return callback();
+			}
+			for (const identifier of Object.keys(data.entries)) {
+				this.entries.set(identifier, data.entries[identifier]);
+			}
+			callback();
+		});
+	}
+
+	/**
+	 * Looks up the entry of the module and checks that nothing it depends on has changed.
+	 * Invalid entries are removed and reported as a miss.
+	 * @param {NormalModule} module the module to look up
+	 * @param {function(Error|null, Object=): void} callback called with the serialized build result or nothing
+	 * @returns {void}
+	 */
+	get(module, callback) {
+		const identifier = module.identifier();
+		const entry = this.entries.get(identifier);
+		if (entry === undefined) return callback(null);
+		const inputFileSystem = this.getFileSystem();
+		const checkFiles = (snapshots, hashContent, callback) => {
+			asyncLib.every(
+				Object.keys(snapshots),
+				(file, callback) => {
+					this._checkSnapshot(
+						inputFileSystem,
+						file,
+						snapshots[file],
+						hashContent,
+						callback
+					);
+				},
+				callback
+			);
+		};
+		asyncLib.every(
+			[
+				[entry.loaderDependencies, true],
+				[entry.fileDependencies, true],
+				[entry.contextDependencies, false]
+			],
+			([snapshots, hashContent], callback) =>
+				checkFiles(snapshots, hashContent, callback),
+			(err, valid) => {
+				if (err || !valid) {
+					this.entries.delete(identifier);
+					this.dirty = true;
+					return callback(null);
+				}
+				callback(null, entry.data);
+			}
+		);
+	}
+
+	/**
+	 * Snapshots all files the build result depends on and stores it for the module.
+	 * @param {NormalModule} module the module that was built
+	 * @param {Object} data serialized build result
+	 * @param {function(Error=): void} callback callback
+	 * @returns {void}
+	 */
+	set(module, data, callback) {
+		const inputFileSystem = this.getFileSystem();
+		const snapshotFiles = (files, hashContent, callback) => {
+			const snapshots = {};
+			asyncLib.each(
+				Array.from(files),
+				(file, callback) => {
+					this._createSnapshot(
+						inputFileSystem,
+						file,
+						hashContent,
+						(err, snapshot) => {
+							if (err) return callback(err);
+							snapshots[file] = snapshot;
+							callback();
+						}
+					);
+				},
+				err => callback(err, snapshots)
+			);
+		};
+		getLoaderDependencies(inputFileSystem, module.loaders, loaderFiles => {
+			asyncLib.map(
+				[
+					[loaderFiles, true],
+					[module.buildInfo.fileDependencies, true],
+					[module.buildInfo.contextDependencies, false]
+				],
+				([files, hashContent], callback) =>
+					snapshotFiles(files, hashContent, callback),
+				(err, results) => {
+					// 取不到快照的模块（比如依赖的文件已被删除）就不缓存了
+					if (err) return callback();
+					this.entries.set(module.identifier(), {
+						data,
+						loaderDependencies: results[0],
+						fileDependencies: results[1],
+						contextDependencies: results[2]
+					});
+					this.dirty = true;
+					callback();
+				}
+			);
+		});
+	}
+
+	/**
+	 * Drops entries of modules that are no longer part of the compilation and writes the cache file.
+	 * @param {Iterable<Module>} modules modules of the last compilation
+	 * @param {function(Error=): void} callback callback
+	 * @returns {void}
+	 */
+	store(modules, callback) {
+		const used = new Set();
+		for (const module of modules) {
+			used.add(module.identifier());
+		}
+		for (const identifier of this.entries.keys()) {
+			if (!used.has(identifier)) {
+				this.entries.delete(identifier);
+				this.dirty = true;
+			}
+		}
+		if (!this.dirty) return callback();
+		const entries = {};
+		for (const [identifier, entry] of this.entries) {
+			entries[identifier] = entry;
+		}
+		const content = JSON.stringify({
+			version: this.version,
+			entries
+		});
+		mkdirp(path.dirname(this.cacheFile), err => {
+			if (err) return callback(err);
+			fs.writeFile(this.cacheFile, content, err => {
+				if (err) return callback(err);
+				this.dirty = false;
+				callback();
+			});
+		});
+	}
+
+	_createSnapshot(inputFileSystem, file, hashContent, callback) {
+		inputFileSystem.stat(file, (err, stat) => {
+			if (err) return callback(err);
+			const snapshot = {
+				mtime: +stat.mtime,
+				size: stat.size
+			};
+			if (!hashContent || !stat.isFile()) return callback(null, snapshot);
+			inputFileSystem.readFile(file, (err, content) => {
+				if (err) return callback(err);
+				snapshot.hash = this._hashContent(content);
+				callback(null, snapshot);
+			});
+		});
+	}
+
+	_checkSnapshot(inputFileSystem, file, snapshot, hashContent, callback) {
+		inputFileSystem.stat(file, (err, stat) => {
+			// 文件已经被删除了
+			if (err) return callback(null, false);
+			// 修改时间和大小都没有变就不再读取文件内容了
+			if (+stat.mtime === snapshot.mtime && stat.size === snapshot.size) {
+				return callback(null, true);
+			}
+			if (!hashContent || !snapshot.hash) return callback(null, false);
+			// 修改时间变了，但内容可能没变（比如切换了git分支）
+			inputFileSystem.readFile(file, (err, content) => {
+				if (err) return callback(null, false);
+				if (this._hashContent(content) !== snapshot.hash) {
+					return callback(null, false);
+				}
+				snapshot.mtime = +stat.mtime;
+				snapshot.size = stat.size;
+				this.dirty = true;
+				callback(null, true);
+			});
+		});
+	}
+
+	_hashContent(content) {
+		const hash = createHash(this.hashFunction);
+		hash.update(content);
+		return hash.digest("hex");
+	}
+}
+
+/**
+ * The loader files and the package.json next to them.
+ * A new loader version changes at least one of them.
+ * @param {any} inputFileSystem the input file system
+ * @param {{loader: string}[]} loaders loaders of the module
+ * @param {function(Set<string>): void} callback called with the files
+ * @returns {void}
+ */
+const getLoaderDependencies = (inputFileSystem, loaders, callback) => {
+	const files = new Set();
+	asyncLib.eachSeries(
+		loaders,
+		(loader, callback) => {
+			files.add(loader.loader);
+			findDescriptionFile(
+				inputFileSystem,
+				path.dirname(loader.loader),
+				descriptionFile => {
+					if (descriptionFile) files.add(descriptionFile);
+					callback();
+				}
+			);
+		},
+		() => callback(files)
+	);
+};
+
+/** @type {Map<string, string|undefined>} */
+const descriptionFileCache = new Map();
+
+/**
+ * @param {any} inputFileSystem the input file system
+ * @param {string} dir a directory
+ * @param {function(string=): void} callback called with the nearest package.json in or above the directory
+ * @returns {void}
+ */
+const findDescriptionFile = (inputFileSystem, dir, callback) => {
+	if (descriptionFileCache.has(dir)) {
+		return callback(descriptionFileCache.get(dir));
+	}
+	const descriptionFile = path.join(dir, "package.json");
+	inputFileSystem.stat(descriptionFile, (err, stat) => {
+		const done = result => {
+			descriptionFileCache.set(dir, result);
+			callback(result);
+		};
+		if (!err && stat.isFile()) return done(descriptionFile);
+		if (path.dirname(dir) === dir) return done(undefined);
+		findDescriptionFile(inputFileSystem, path.dirname(dir), done);
+	});
+};
+
+module.exports = FileSystemCache;
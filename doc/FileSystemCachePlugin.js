@@ -0,0 +1,134 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+"use strict";
+
+const path = require("path");
+const FileSystemCache = require("./FileSystemCache");
+const WebpackError = require("./WebpackError");
+const createHash = require("./util/createHash");
+const version = require("../package.json").version;
+
+/** @typedef {import("./Compiler")} Compiler */
+/** @typedef {import("./Compilation")} Compilation */
+/** @typedef {import("./Module")} Module */
+
+/**
+ * @typedef {Object} FileSystemCachePluginOptions
+ * @property {"filesystem"} type the cache type
+ * @property {string=} cacheDirectory directory of the cache files, defaults to node_modules/.cache/webpack
+ * @property {string=} name name of the cache file, defaults to the compiler name and the mode
+ * @property {string=} version bump it to invalidate the cache manually
+ */
+
+class FileSystemCachePlugin {
+	/**
+	 * @param {FileSystemCachePluginOptions} options options
+	 */
+	constructor(options) {
+		this.options = options || {};
+	}
+
+	/**
+	 * @param {Compiler} compiler the compiler instance
+	 * @returns {void}
+	 */
+	apply(compiler) {
+		const options = compiler.options;
+		const cacheDirectory =
+			this.options.cacheDirectory ||
+			path.resolve(options.context, "node_modules/.cache/webpack");
+		const name =
+			this.options.name ||
+			`${compiler.name || "default"}-${options.mode || "none"}`;
+		const cache = new FileSystemCache({
+			cacheFile: path.join(cacheDirectory, `${name}.json`),
+			version: this.getVersion(options),
+			hashFunction: options.output && options.output.hashFunction,
+			getFileSystem: () => compiler.inputFileSystem
+		});
+		//每次新建compilation的时候都会把它传给compilation
+		compiler.persistentCache = cache;
+
+		//编译之前读取上一次进程写入的缓存文件
+		compiler.hooks.beforeRun.tapAsync("FileSystemCachePlugin", (c, callback) =>
+			cache.load(callback)
+		);
+		compiler.hooks.watchRun.tapAsync("FileSystemCachePlugin", (c, callback) =>
+			cache.load(callback)
+		);
+		//optimize阶段会合并和替换模块，所以要在seal之前记下本次编译的模块
+		/** @type {WeakMap<Compilation, Module[]>} */
+		const builtModules = new WeakMap();
+		compiler.hooks.thisCompilation.tap("FileSystemCachePlugin", compilation => {
+			compilation.hooks.finishModules.tap("FileSystemCachePlugin", modules => {
+				builtModules.set(compilation, modules.slice());
+			});
+		});
+		//所有模块都编译完成后写回缓存文件
+		compiler.hooks.afterCompile.tapAsync(
+			"FileSystemCachePlugin",
+			(compilation, callback) => {
+				const modules = builtModules.get(compilation);
+				if (modules === undefined) return callback();
+				cache.store(modules, err => {
+					if (err) {
+						compilation.warnings.push(
+							new WebpackError(
+								`Unable to write the cache file ${cache.cacheFile}: ${
+									err.message
+								}`
+							)
+						);
+					}
+					callback();
+				});
+			}
+		);
+	}
+
+	/**
+	 * All cache entries are dropped when the result of this changes.
+	 * Plugins and other class instances contribute their class name and their `options`,
+	 * or the result of their `getCacheVersion()` method when they have one.
+	 * @param {TODO} options webpack options
+	 * @returns {string} the version of the cache
+	 */
+	getVersion(options) {
+		const seen = new Set();
+		const config = JSON.stringify(options, (key, value) => {
+			// the cache option itself doesn't change the output
+			if (key === "cache" && value === options.cache) return undefined;
+			if (typeof value === "function" || value instanceof RegExp) {
+				return value.toString();
+			}
+			if (value && typeof value === "object") {
+				if (seen.has(value)) return "[Circular]";
+				seen.add(value);
+				if (
+					!Array.isArray(value) &&
+					value.constructor &&
+					value.constructor !== Object
+				) {
+					//插件apply之后会在实例上记录状态，只取类名和构造参数
+					return {
+						__class: value.constructor.name,
+						options:
+							typeof value.getCacheVersion === "function"
+								? value.getCacheVersion()
+								: value.options
+					};
+				}
+			}
+			return value;
+		});
+		const hash = createHash("md4");
+		hash.update(version);
+		hash.update(`${this.options.version || ""}`);
+		hash.update(config);
+		return hash.digest("hex");
+	}
+}
+
+module.exports = FileSystemCachePlugin;
@@ -0,0 +1,32 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+"use strict";
+
+const RuntimeModule = require("./RuntimeModule");
+const Template = require("./Template");
+
+/** @typedef {import("./RuntimeModule").RuntimeModuleContext} RuntimeModuleContext */
+
+class GetFullHashRuntimeModule extends RuntimeModule {
+	constructor() {
+		super("get full hash");
+	}
+
+	/**
+	 * @param {RuntimeModuleContext} context context
+	 * @returns {string} the code of the helper
+	 */
+	generate({ hash, mainTemplate }) {
+		//热更新时currentHash钩子返回hotCurrentHash，得到的是当前的hash
+		return Template.asString([
+			"// __webpack_hash__",
+			`${
+				mainTemplate.requireFn
+			}.h = function() { return ${mainTemplate.renderCurrentHashCode(hash)}; };`
+		]);
+	}
+}
+
+module.exports = GetFullHashRuntimeModule;
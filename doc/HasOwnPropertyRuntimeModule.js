@@ -0,0 +1,31 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+"use strict";
+
+const RuntimeModule = require("./RuntimeModule");
+const Template = require("./Template");
+
+/** @typedef {import("./RuntimeModule").RuntimeModuleContext} RuntimeModuleContext */
+
+class HasOwnPropertyRuntimeModule extends RuntimeModule {
+	constructor() {
+		super("hasOwnProperty shorthand");
+	}
+
+	/**
+	 * @param {RuntimeModuleContext} context context
+	 * @returns {string} the code of the helper
+	 */
+	generate({ mainTemplate }) {
+		return Template.asString([
+			"// Object.prototype.hasOwnProperty.call",
+			`${
+				mainTemplate.requireFn
+			}.o = function(object, property) { return Object.prototype.hasOwnProperty.call(object, property); };`
+		]);
+	}
+}
+
+module.exports = HasOwnPropertyRuntimeModule;
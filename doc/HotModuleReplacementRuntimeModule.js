@@ -0,0 +1,63 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+"use strict";
+
+const RuntimeGlobals = require("./RuntimeGlobals");
+const RuntimeModule = require("./RuntimeModule");
+const Template = require("./Template");
+
+/** @typedef {import("./Chunk")} Chunk */
+/** @typedef {import("./RuntimeModule").RuntimeModuleContext} RuntimeModuleContext */
+
+const hotInitCode = Template.getFunctionContent(
+	require("./HotModuleReplacement.runtime")
+);
+
+/**
+ * @param {Chunk} chunk the chunk with the runtime
+ * @returns {boolean} true, when the runtime has the installedChunks object
+ */
+const needChunkLoadingCode = chunk => {
+	for (const chunkGroup of chunk.groupsIterable) {
+		if (chunkGroup.chunks.length > 1) return true;
+		if (chunkGroup.getNumberOfChildren() > 0) return true;
+	}
+	return false;
+};
+
+class HotModuleReplacementRuntimeModule extends RuntimeModule {
+	/**
+	 * @param {number} requestTimeout timeout of the request of the hot update manifest
+	 */
+	constructor(requestTimeout) {
+		//下载热更新文件的代码用publicPath拼出地址
+		super("hot module replacement", [RuntimeGlobals.publicPath]);
+		this.requestTimeout = requestTimeout;
+	}
+
+	/**
+	 * @param {RuntimeModuleContext} context context
+	 * @returns {string} the code of the helper
+	 */
+	generate({ chunk, hash, mainTemplate }) {
+		//hotBootstrap钩子由JsonpMainTemplatePlugin等插件提供下载热更新文件的代码
+		return Template.asString([
+			mainTemplate.hooks.hotBootstrap.call("", chunk, hash),
+			"",
+			hotInitCode
+				.replace(/\$require\$/g, mainTemplate.requireFn)
+				.replace(/\$hash\$/g, JSON.stringify(hash))
+				.replace(/\$requestTimeout\$/g, this.requestTimeout)
+				.replace(
+					/\/\*foreachInstalledChunks\*\//g,
+					needChunkLoadingCode(chunk)
+						? "for(var chunkId in installedChunks)"
+						: `var chunkId = ${JSON.stringify(chunk.id)};`
+				)
+		]);
+	}
+}
+
+module.exports = HotModuleReplacementRuntimeModule;
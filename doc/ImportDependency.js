@@ -0,0 +1,52 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+"use strict";
+const ModuleDependency = require("./ModuleDependency");
+const DependencyReference = require("./DependencyReference");
+
+class ImportDependency extends ModuleDependency {
+	constructor(request, originModule, block, referencedExports) {
+		super(request);
+		this.originModule = originModule;
+		this.block = block;
+		/** @type {string[]|null} */
+		this.referencedExports = referencedExports || null;
+	}
+
+	getReference() {
+		if (!this.module) return null;
+		//只用到webpackExports中列出的导出，没有列出时是整个命名空间对象
+		if (!this.referencedExports) {
+			return new DependencyReference(this.module, true, this.weak);
+		}
+		return new DependencyReference(
+			this.module,
+			this.referencedExports,
+			this.weak,
+			NaN,
+			false
+		);
+	}
+
+	get type() {
+		return "import()";
+	}
+}
+
+ImportDependency.Template = class ImportDependencyTemplate {
+	apply(dep, source, runtime) {
+		const content = runtime.moduleNamespacePromise({
+			block: dep.block,
+			module: dep.module,
+			request: dep.request,
+			strict: dep.originModule.buildMeta.strictHarmonyModule,
+			message: "import()"
+		});
+
+		source.replace(dep.block.range[0], dep.block.range[1] - 1, content);
+	}
+};
+
+module.exports = ImportDependency;
@@ -0,0 +1,49 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+"use strict";
+const ModuleDependency = require("./ModuleDependency");
+const DependencyReference = require("./DependencyReference");
+
+class ImportEagerDependency extends ModuleDependency {
+	constructor(request, originModule, range, referencedExports) {
+		super(request);
+		this.originModule = originModule;
+		this.range = range;
+		/** @type {string[]|null} */
+		this.referencedExports = referencedExports || null;
+	}
+
+	getReference() {
+		if (!this.module) return null;
+		if (!this.referencedExports) {
+			return new DependencyReference(this.module, true, this.weak);
+		}
+		return new DependencyReference(
+			this.module,
+			this.referencedExports,
+			this.weak,
+			NaN,
+			false
+		);
+	}
+
+	get type() {
+		return "import() eager";
+	}
+}
+
+ImportEagerDependency.Template = class ImportEagerDependencyTemplate {
+	apply(dep, source, runtime) {
+		const content = runtime.moduleNamespacePromise({
+			module: dep.module,
+			request: dep.request,
+			strict: dep.originModule.buildMeta.strictHarmonyModule,
+			message: "import() eager"
+		});
+		source.replace(dep.range[0], dep.range[1] - 1, content);
+	}
+};
+
+module.exports = ImportEagerDependency;
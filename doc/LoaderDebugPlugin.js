@@ -0,0 +1,185 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+"use strict";
+
+const path = require("path");
+const fs = require("fs");
+const mkdirp = require("mkdirp");
+const asyncLib = require("neo-async");
+const WebpackError = require("./WebpackError");
+
+/** @typedef {import("./Compiler")} Compiler */
+/** @typedef {import("./Compilation")} Compilation */
+
+/**
+ * @typedef {Object} LoaderDebugPluginOptions
+ * @property {string=} outputPath directory the recorded steps are written to, nothing is written when omitted
+ */
+
+/**
+ * @typedef {Object} LoaderStep
+ * @property {string} loader request of the loader
+ * @property {"pitch"|"normal"} kind which function of the loader was called
+ * @property {any[]} input arguments of the call (content and source map for normal loaders)
+ * @property {any[]=} output results of the call
+ * @property {boolean} shortCircuit true, when a pitch returned a result and the remaining loaders were skipped
+ * @property {Error=} error the error of the call
+ * @property {number} time elapsed time in milliseconds
+ */
+
+const pluginName = "LoaderDebugPlugin";
+
+/**
+ * @param {string} str a module name or loader request
+ * @returns {string} a string that can be used as file name
+ */
+const toFileName = str =>
+	str
+		.replace(/^(\.\.?\/)+/, "")
+		.replace(/[^\w.-]+/g, "_")
+		.slice(-100);
+
+/**
+ * @param {any} value content of a loader step
+ * @returns {string|Buffer|undefined} content that can be written to a file
+ */
+const toContent = value => {
+	if (typeof value === "string" || Buffer.isBuffer(value)) return value;
+	return undefined;
+};
+
+/**
+ * @param {any} map a source map returned by a loader
+ * @returns {string|undefined} the source map as JSON
+ */
+const toSourceMap = map => {
+	if (!map) return undefined;
+	return typeof map === "string" ? map : JSON.stringify(map);
+};
+
+class LoaderDebugPlugin {
+	/**
+	 * @param {LoaderDebugPluginOptions=} options options
+	 */
+	constructor(options) {
+		this.options = options || {};
+	}
+
+	/**
+	 * @param {Compiler} compiler the compiler instance
+	 * @returns {void}
+	 */
+	apply(compiler) {
+		compiler.hooks.thisCompilation.tap(pluginName, compilation => {
+			compilation.recordLoaderSteps = true;
+		});
+
+		const outputPath = this.options.outputPath;
+		if (!outputPath) return;
+		compiler.hooks.done.tapAsync(pluginName, (stats, callback) => {
+			const compilation = stats.compilation;
+			this.writeSteps(compilation, outputPath, err => {
+				if (err) {
+					compilation.warnings.push(
+						new WebpackError(
+							`${pluginName}: unable to write loader steps to ${outputPath}: ${
+								err.message
+							}`
+						)
+					);
+				}
+				callback();
+			});
+		});
+	}
+
+	/**
+	 * Writes one directory per module with the content after every step
+	 * and a steps.json describing the steps
+	 * @param {Compilation} compilation the compilation
+	 * @param {string} outputPath the directory
+	 * @param {function(Error=): void} callback callback
+	 * @returns {void}
+	 */
+	writeSteps(compilation, outputPath, callback) {
+		const requestShortener = compilation.runtimeTemplate.requestShortener;
+		const usedNames = new Set();
+		const index = [];
+		const files = [];
+		for (const module of compilation.modules) {
+			const steps = module.buildInfo && module.buildInfo.loaderSteps;
+			if (!steps || steps.length === 0) continue;
+			// 同一个资源可能被不同的loader处理多次
+			const baseName = toFileName(
+				module.resource
+					? path.relative(compilation.options.context, module.resource)
+					: module.readableIdentifier(requestShortener)
+			);
+			let name = baseName;
+			for (let i = 2; usedNames.has(name); i++) {
+				name = `${baseName}_${i}`;
+			}
+			usedNames.add(name);
+			const dir = path.join(outputPath, name);
+			index.push({ directory: name, module: module.identifier() });
+
+			const description = steps.map((step, i) => {
+				const prefix = `${String(i + 1).padStart(2, "0")}-${
+					step.kind
+				}-${toFileName(path.basename(step.loader.split("?")[0]))}`;
+				const info = {
+					loader: step.loader,
+					kind: step.kind,
+					time: step.time,
+					shortCircuit: step.shortCircuit,
+					error: step.error ? String(step.error.stack || step.error) : undefined
+				};
+				// pitch的参数是请求字符串，只有短路时的返回值才是代码
+				const add = (key, suffix, content) => {
+					if (content === undefined) return;
+					info[key] = `${prefix}.${suffix}`;
+					files.push({ file: path.join(dir, info[key]), content });
+				};
+				if (step.kind === "normal") {
+					add("input", "input", toContent(step.input[0]));
+					add("inputMap", "input.map", toSourceMap(step.input[1]));
+				} else {
+					info.remainingRequest = step.input[0];
+					info.previousRequest = step.input[1];
+				}
+				if (step.output) {
+					add("output", "output", toContent(step.output[0]));
+					add("outputMap", "output.map", toSourceMap(step.output[1]));
+				}
+				return info;
+			});
+			files.push({
+				file: path.join(dir, "steps.json"),
+				content: JSON.stringify(
+					{ module: module.identifier(), steps: description },
+					null,
+					2
+				)
+			});
+		}
+		files.push({
+			file: path.join(outputPath, "index.json"),
+			content: JSON.stringify(index, null, 2)
+		});
+		asyncLib.forEachLimit(
+			files,
+			15,
+			({ file, content }, callback) => {
+				mkdirp(path.dirname(file), err => {
+					if (err) return callback(err);
+					fs.writeFile(file, content, callback);
+				});
+			},
+			callback
+		);
+	}
+}
+
+module.exports = LoaderDebugPlugin;
@@ -0,0 +1,462 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+var fs = require("fs");
+var readFile = fs.readFile.bind(fs);
+var loadLoader = require("./loadLoader");
+
+function utf8BufferToString(buf) {
+	var str = buf.toString("utf-8");
+	if(str.charCodeAt(0) === 0xFEFF) {
+		return str.substr(1);
+	} else {
+		return str;
+	}
+}
+
+function splitQuery(req) {
+	var i = req.indexOf("?");
+	if(i < 0) return [req, ""];
+	return [req.substr(0, i), req.substr(i)];
+}
+
+function dirname(path) {
+	if(path === "/") return "/";
+	var i = path.lastIndexOf("/");
+	var j = path.lastIndexOf("\\");
+	var i2 = path.indexOf("/");
+	var j2 = path.indexOf("\\");
+	var idx = i > j ? i : j;
+	var idx2 = i > j ? i2 : j2;
+	if(idx < 0) return path;
+	if(idx === idx2) return path.substr(0, idx + 1);
+	return path.substr(0, idx);
+}
+
+function createLoaderObject(loader) {
+	var obj = {
+		path: null,
+		query: null,
+		options: null,
+		ident: null,
+		normal: null,
+		pitch: null,
+		raw: null,
+		data: null,
+		pitchExecuted: false,
+		normalExecuted: false
+	};
+	Object.defineProperty(obj, "request", {
+		enumerable: true,
+		get: function() {
+			return obj.path + obj.query;
+		},
+		set: function(value) {
+			if(typeof value === "string") {
+				var splittedRequest = splitQuery(value);
+				obj.path = splittedRequest[0];
+				obj.query = splittedRequest[1];
+				obj.options = undefined;
+				obj.ident = undefined;
+			} else {
+				if(!value.loader)
+					throw new Error("request should be a string or object with loader and object (" + JSON.stringify(value) + ")");
+				obj.path = value.loader;
+				obj.options = value.options;
+				obj.ident = value.ident;
+				if(obj.options === null)
+					obj.query = "";
+				else if(obj.options === undefined)
+					obj.query = "";
+				else if(typeof obj.options === "string")
+					obj.query = "?" + obj.options;
+				else if(obj.ident)
+					obj.query = "??" + obj.ident;
+				else if(typeof obj.options === "object" && obj.options.ident)
+					obj.query = "??" + obj.options.ident;
+				else
+					obj.query = "?" + JSON.stringify(obj.options);
+			}
+		}
+	});
+	obj.request = loader;
+	if(Object.preventExtensions) {
+		Object.preventExtensions(obj);
+	}
+	return obj;
+}
+
+//trace是可选的，调用时开始记录，返回的函数在loader执行结束时调用
+function runSyncOrAsync(fn, context, args, callback, trace) {
+	var endTrace = trace ? trace() : null;
+	if(endTrace) {
+		var tracedCallback = callback;
+		callback = function() {
+			endTrace();
+			return tracedCallback.apply(this, arguments);
+		};
+	}
+	var isSync = true;
+	var isDone = false;
+	var isError = false; // internal error
+	var reportedError = false;
+	context.async = function async() {
+		if(isDone) {
+			if(reportedError) return; // ignore
+			throw new Error("async(): The callback was already called.");
+		}
+		isSync = false;
+		return innerCallback;
+	};
+	var innerCallback = context.callback = function() {
+		if(isDone) {
+			if(reportedError) return; // ignore
+			throw new Error("callback(): The callback was already called.");
+		}
+		isDone = true;
+		isSync = false;
+		try {
+			callback.apply(null, arguments);
+		} catch(e) {
+			isError = true;
+			throw e;
+		}
+	};
+	try {
+		var result = (function LOADER_EXECUTION() {
+			return fn.apply(context, args);
+		}());
+		if(isSync) {
+			isDone = true;
+			if(result === undefined)
+				return callback();
+			if(result && typeof result === "object" && typeof result.then === "function") {
+				return result.catch(callback).then(function(r) {
+					callback(null, r);
+				});
+			}
+			return callback(null, result);
+		}
+	} catch(e) {
+		if(isError) throw e;
+		if(isDone) {
+			// loader is already "done", so we cannot use the callback function
+			// for better debugging we print the error on the console
+			if(typeof e === "object" && e.stack) console.error(e.stack);
+			else console.error(e);
+			return;
+		}
+		isDone = true;
+		reportedError = true;
+		callback(e);
+	}
+
+}
+
+// options.traceLoader(loader, "pitch" | "normal") is called before a loader function runs
+// and returns a function that is called when it's done
+function createTrace(options, loader, kind) {
+	if(!options.traceLoader) return undefined;
+	return function() {
+		return options.traceLoader(loader, kind);
+	};
+}
+
+// options.loaderSteps is only set when the steps should be recorded,
+// every pitch and normal call of a loader adds one entry.
+// Returns a function that is called with the error or the results of the call
+function beginStep(options, loader, kind, input) {
+	if(!options.loaderSteps) return undefined;
+	var step = {
+		loader: loader.request,
+		kind: kind,
+		input: input,
+		output: undefined,
+		// pitch返回了结果，后面的loader和资源都被跳过了
+		shortCircuit: false,
+		error: undefined,
+		time: 0
+	};
+	options.loaderSteps.push(step);
+	var start = process.hrtime();
+	return function(err, output) {
+		var elapsed = process.hrtime(start);
+		step.time = elapsed[0] * 1e3 + elapsed[1] / 1e6;
+		if(err) {
+			step.error = err;
+			return;
+		}
+		// 第三个参数meta可能是ast之类的大对象，不记录
+		step.output = output.slice(0, 2);
+		if(kind === "pitch" && output.length > 0) step.shortCircuit = true;
+	};
+}
+
+function convertArgs(args, raw) {
+	if(!raw && Buffer.isBuffer(args[0]))
+		args[0] = utf8BufferToString(args[0]);
+	else if(raw && typeof args[0] === "string")
+		args[0] = new Buffer(args[0], "utf-8"); // eslint-disable-line
+}
+
+//loader只在内容后面追加代码并且没有返回source map时，前面部分的位置不变，继续使用输入的source map
+function keepSourceMap(input, output) {
+	if(output[1] !== undefined && output[1] !== null) return;
+	if(input[1] === undefined || input[1] === null) return;
+	var before = Buffer.isBuffer(input[0]) ? input[0].toString("utf-8") : input[0];
+	var after = Buffer.isBuffer(output[0]) ? output[0].toString("utf-8") : output[0];
+	if(typeof before !== "string" || typeof after !== "string") return;
+	if(after.slice(0, before.length) !== before) return;
+	output[1] = input[1];
+}
+
+//编译已经取消时不再执行剩下的loader
+function checkCancelled(options, callback) {
+	if(!options.signal || !options.signal.cancelled) return false;
+	var error = new Error("Running the loaders was cancelled" + (options.signal.reason ? ": " + options.signal.reason : ""));
+	error.name = "LoaderCancelledError";
+	callback(error);
+	return true;
+}
+
+function iteratePitchingLoaders(options, loaderContext, callback) {
+	if(checkCancelled(options, callback)) return;
+	// abort after last loader 如果当前索引大于等于数组长度的话才开始处理资源
+	if(loaderContext.loaderIndex >= loaderContext.loaders.length)
+		return processResource(options, loaderContext, callback);
+	//取得当前的loader
+	var currentLoaderObject = loaderContext.loaders[loaderContext.loaderIndex];
+
+	// iterate 判断pitch函数是否已经执行过了,如果执行过则执行下一个loader的pitch
+	if(currentLoaderObject.pitchExecuted) {
+		loaderContext.loaderIndex++;
+		return iteratePitchingLoaders(options, loaderContext, callback);
+	}
+
+	// load loader module 加载这个loader模块
+	loadLoader(currentLoaderObject, function(err) {
+		if(err) return callback(err);
+		var fn = currentLoaderObject.pitch;//取得loader的pitch函数
+		currentLoaderObject.pitchExecuted = true;//标识为已经执行过了
+		if(!fn) return iteratePitchingLoaders(options, loaderContext, callback);//如果则直接向下执行
+
+		var endStep = beginStep(options, currentLoaderObject, "pitch", [loaderContext.remainingRequest, loaderContext.previousRequest]);
+		runSyncOrAsync(
+			fn,
+			loaderContext, [loaderContext.remainingRequest, loaderContext.previousRequest, currentLoaderObject.data = {}],
+			function(err) {
+				var args = Array.prototype.slice.call(arguments, 1);
+				if(endStep) endStep(err, args);
+				if(err) return callback(err);
+				if(args.length > 0) {// 如果有返回值，不再向后执行了，直接开始执行normalLoader,并把结果传递过去
+					loaderContext.loaderIndex--;
+					iterateNormalLoaders(options, loaderContext, args, callback);
+				} else {
+					iteratePitchingLoaders(options, loaderContext, callback);
+				}
+			},
+			createTrace(options, currentLoaderObject, "pitch")
+		);
+	});
+}
+//开始处理资源
+function processResource(options, loaderContext, callback) {
+	// set loader index to last loader 把索引设置为最后一个loader的索引
+	loaderContext.loaderIndex = loaderContext.loaders.length - 1;
+
+	var resourcePath = loaderContext.resourcePath;
+	if(resourcePath) {
+		loaderContext.addDependency(resourcePath);//增加对此文件的依赖
+		options.readResource(resourcePath, function(err, buffer) {//使用readFile方法读取文件
+			if(err) return callback(err);
+			options.resourceBuffer = buffer;
+			iterateNormalLoaders(options, loaderContext, [buffer], callback);
+		});
+	} else {
+		iterateNormalLoaders(options, loaderContext, [null], callback);
+	}
+}
+
+function iterateNormalLoaders(options, loaderContext, args, callback) {
+	if(checkCancelled(options, callback)) return;
+	//执行正常的loader函数
+	if(loaderContext.loaderIndex < 0)
+		return callback(null, args);
+	//取得当前的loader对象
+	var currentLoaderObject = loaderContext.loaders[loaderContext.loaderIndex];
+
+	// iterate 如果已经执行过了，则减1再递归
+	if(currentLoaderObject.normalExecuted) {
+		loaderContext.loaderIndex--;
+		return iterateNormalLoaders(options, loaderContext, args, callback);
+	}
+	//如果没有执行过，则取出当前的正常的loader
+	var fn = currentLoaderObject.normal;
+	currentLoaderObject.normalExecuted = true;//设置为已经执行过了
+	if(!fn) {
+		return iterateNormalLoaders(options, loaderContext, args, callback);
+	}
+
+	convertArgs(args, currentLoaderObject.raw);
+
+	var endStep = beginStep(options, currentLoaderObject, "normal", args.slice(0, 2));
+	var inputArgs = args.slice(0, 2);
+	runSyncOrAsync(fn, loaderContext, args, function(err) {
+		var args = Array.prototype.slice.call(arguments, 1);//执行并取得上次的返回值
+		if(endStep) endStep(err, args);
+		if(err) return callback(err);
+		keepSourceMap(inputArgs, args);
+
+		iterateNormalLoaders(options, loaderContext, args, callback);
+	}, createTrace(options, currentLoaderObject, "normal"));
+}
+
+exports.getContext = function getContext(resource) {
+	var splitted = splitQuery(resource);
+	return dirname(splitted[0]);
+};
+
+exports.runLoaders = function runLoaders(options, callback) {
+	// read options
+	var resource = options.resource || "";
+	var loaders = options.loaders || [];
+	var loaderContext = options.context || {};
+	var readResource = options.readResource || readFile;
+
+	//
+	var splittedResource = resource && splitQuery(resource);
+	var resourcePath = splittedResource ? splittedResource[0] : undefined;
+	var resourceQuery = splittedResource ? splittedResource[1] : undefined;
+	// virtual modules have no directory, their context is passed explicitly
+	var contextDirectory = options.contextDirectory || (resourcePath ? dirname(resourcePath) : null);
+
+	// execution state
+	var requestCacheable = true;
+	var fileDependencies = [];
+	var contextDependencies = [];
+
+	// prepare loader objects
+	loaders = loaders.map(createLoaderObject);
+
+	loaderContext.context = contextDirectory;
+	loaderContext.loaderIndex = 0;
+	loaderContext.loaders = loaders;
+	loaderContext.resourcePath = resourcePath;
+	loaderContext.resourceQuery = resourceQuery;
+	loaderContext.async = null;
+	loaderContext.callback = null;
+	loaderContext.cacheable = function cacheable(flag) {
+		if(flag === false) {
+			requestCacheable = false;
+		}
+	};
+	loaderContext.dependency = loaderContext.addDependency = function addDependency(file) {
+		fileDependencies.push(file);
+	};
+	loaderContext.addContextDependency = function addContextDependency(context) {
+		contextDependencies.push(context);
+	};
+	loaderContext.getDependencies = function getDependencies() {
+		return fileDependencies.slice();
+	};
+	loaderContext.getContextDependencies = function getContextDependencies() {
+		return contextDependencies.slice();
+	};
+	loaderContext.clearDependencies = function clearDependencies() {
+		fileDependencies.length = 0;
+		contextDependencies.length = 0;
+		requestCacheable = true;
+	};
+	Object.defineProperty(loaderContext, "resource", {
+		enumerable: true,
+		get: function() {
+			if(loaderContext.resourcePath === undefined)
+				return undefined;
+			return loaderContext.resourcePath + loaderContext.resourceQuery;
+		},
+		set: function(value) {
+			var splittedResource = value && splitQuery(value);
+			loaderContext.resourcePath = splittedResource ? splittedResource[0] : undefined;
+			loaderContext.resourceQuery = splittedResource ? splittedResource[1] : undefined;
+		}
+	}); //request就是完整的请求路径
+	Object.defineProperty(loaderContext, "request", {
+		enumerable: true,
+		get: function() {
+			return loaderContext.loaders.map(function(o) {
+				return o.request;
+			}).concat(loaderContext.resource || "").join("!");
+		}
+	}); //request就是剩下的请求路径
+	Object.defineProperty(loaderContext, "remainingRequest", {
+		enumerable: true,
+		get: function() {
+			if(loaderContext.loaderIndex >= loaderContext.loaders.length - 1 && !loaderContext.resource)
+				return "";
+			return loaderContext.loaders.slice(loaderContext.loaderIndex + 1).map(function(o) {
+				return o.request;
+			}).concat(loaderContext.resource || "").join("!");
+		}
+	}); //request就是当前的请求路径
+	Object.defineProperty(loaderContext, "currentRequest", {
+		enumerable: true,
+		get: function() {
+			return loaderContext.loaders.slice(loaderContext.loaderIndex).map(function(o) {
+				return o.request;
+			}).concat(loaderContext.resource || "").join("!");
+		}
+	}); //request就是之前的请求路径
+	Object.defineProperty(loaderContext, "previousRequest", {
+		enumerable: true,
+		get: function() {
+			return loaderContext.loaders.slice(0, loaderContext.loaderIndex).map(function(o) {
+				return o.request;
+			}).join("!");
+		}
+	}); //query是查询参数
+	Object.defineProperty(loaderContext, "query", {
+		enumerable: true,
+		get: function() {
+			var entry = loaderContext.loaders[loaderContext.loaderIndex];
+			return entry.options && typeof entry.options === "object" ? entry.options : entry.query;
+		}
+	}); //data是当前的loader上携带的自定义数据
+	Object.defineProperty(loaderContext, "data", {
+		enumerable: true,
+		get: function() {
+			return loaderContext.loaders[loaderContext.loaderIndex].data;
+		}
+	});
+
+	// finish loader context
+	if(Object.preventExtensions) {
+		Object.preventExtensions(loaderContext);
+	}
+
+	var processOptions = {
+		resourceBuffer: null,
+		readResource: readResource,
+		traceLoader: options.traceLoader,
+		loaderSteps: options.recordSteps ? [] : undefined,
+		signal: options.signal
+	};
+	iteratePitchingLoaders(processOptions, loaderContext, function(err, result) {
+		if(err) {
+			return callback(err, {
+				cacheable: requestCacheable,
+				fileDependencies: fileDependencies,
+				contextDependencies: contextDependencies,
+				loaderSteps: processOptions.loaderSteps
+			});
+		}//loader执行完毕后执行回调
+		callback(null, {
+			result: result,
+			resourceBuffer: processOptions.resourceBuffer,
+			cacheable: requestCacheable,
+			fileDependencies: fileDependencies,
+			contextDependencies: contextDependencies,
+			loaderSteps: processOptions.loaderSteps
+		});
+	});
+};
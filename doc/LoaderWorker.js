@@ -0,0 +1,154 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+"use strict";
+
+// 运行在工作线程中，由LoaderWorkerPool启动
+const { parentPort } = require("worker_threads");
+const { runLoaders } = require("loader-runner");
+const {
+	serializeError,
+	deserializeError,
+	toBuffer
+} = require("./LoaderWorkerSerializer");
+
+/** @type {Map<number, {job: TODO, callback: function(Error|null, any=): void}>} */
+const pendingRequests = new Map();
+let nextRequestId = 0;
+
+/**
+ * Sends a call to the main thread, the callback is called with its reply
+ * @param {TODO} job the job that makes the call
+ * @param {TODO} message the call
+ * @param {function(Error|null, any=): void} callback callback
+ * @returns {void}
+ */
+const request = (job, message, callback) => {
+	const requestId = nextRequestId++;
+	pendingRequests.set(requestId, { job, callback });
+	parentPort.postMessage(Object.assign({ requestId }, message));
+};
+
+/**
+ * @param {TODO} message the job sent by the pool
+ * @returns {void}
+ */
+const run = message => {
+	const { id, resource, loaders, context, unsupported, recordSteps } = message;
+	const calls = [];
+	const job = { aborted: false };
+	const loaderContext = Object.assign({}, context);
+	const currentLoader = () => {
+		const loader = loaderContext.loaders[loaderContext.loaderIndex];
+		return loader && loader.path;
+	};
+	// 通知主线程放弃这次执行，之后的结果都会被忽略
+	const abort = api => {
+		parentPort.postMessage({
+			type: "unsupported",
+			id,
+			api,
+			loader: currentLoader()
+		});
+	};
+
+	// 这些api依赖主线程中的对象，loader一旦用到就要回到主线程重新执行
+	for (const name of unsupported) {
+		Object.defineProperty(loaderContext, name, {
+			enumerable: true,
+			get() {
+				if (!job.aborted) {
+					job.aborted = true;
+					abort(name);
+				}
+				throw new Error(`loaderContext.${name} is not available in a worker`);
+			}
+		});
+	}
+
+	loaderContext.resolve = (context, req, callback) => {
+		request(job, { type: "resolve", id, context, request: req }, callback);
+	};
+	// 资源要从编译器的inputFileSystem中读取，它可能是内存文件系统，只能在主线程中访问
+	const readResource = (path, callback) => {
+		request(job, { type: "readResource", id, path }, (err, buffer) =>
+			callback(err, toBuffer(buffer))
+		);
+	};
+	// 会产生副作用的调用先记录下来，loader全部执行成功后再交给主线程处理
+	const record = name => (...args) => {
+		calls.push({
+			name,
+			loaderIndex: loaderContext.loaderIndex,
+			args: args.map(arg => (arg instanceof Error ? serializeError(arg) : arg))
+		});
+	};
+	loaderContext.emitFile = record("emitFile");
+	loaderContext.emitWarning = record("emitWarning");
+	loaderContext.emitError = record("emitError");
+
+	runLoaders(
+		{
+			resource,
+			loaders,
+			context: loaderContext,
+			readResource,
+			recordSteps
+		},
+		(err, result) => {
+			if (job.aborted) return;
+			const done = {
+				type: "done",
+				id,
+				loaderIndex: loaderContext.loaderIndex,
+				error: err ? serializeError(err) : null,
+				calls,
+				result: result && {
+					// extraInfo (e. g. webpackAST) can't leave the worker
+					result: result.result && result.result.slice(0, 2),
+					resourceBuffer: result.resourceBuffer,
+					cacheable: result.cacheable,
+					fileDependencies: result.fileDependencies,
+					contextDependencies: result.contextDependencies,
+					loaderSteps:
+						result.loaderSteps &&
+						result.loaderSteps.map(step =>
+							Object.assign({}, step, {
+								error: step.error && serializeError(step.error)
+							})
+						)
+				}
+			};
+			try {
+				parentPort.postMessage(done);
+			} catch (e) {
+				// the result contains something that can't be cloned
+				abort("callback");
+			}
+		}
+	);
+};
+
+parentPort.on("message", message => {
+	switch (message.type) {
+		case "run":
+			run(message);
+			break;
+		case "reply": {
+			const { job, callback } = pendingRequests.get(message.requestId);
+			pendingRequests.delete(message.requestId);
+			try {
+				if (message.error) {
+					callback(deserializeError(message.error));
+				} else {
+					callback(null, message.result);
+				}
+			} catch (e) {
+				// the job already went back to the main thread
+				if (!job.aborted) throw e;
+			}
+			break;
+		}
+	}
+});
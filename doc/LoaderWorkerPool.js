@@ -0,0 +1,263 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+"use strict";
+
+const { runLoaders } = require("loader-runner");
+const ModuleWarning = require("./ModuleWarning");
+const {
+	serializeError,
+	deserializeError,
+	toBuffer,
+	isCloneable
+} = require("./LoaderWorkerSerializer");
+
+/** @typedef {import("./NormalModule")} NormalModule */
+/** @typedef {import("./Compilation")} Compilation */
+
+/**
+ * @typedef {Object} LoaderWorkerJob
+ * @property {number} id job id
+ * @property {NormalModule} module the module that is built
+ * @property {Compilation} compilation the compilation
+ * @property {TODO} options options for runLoaders
+ * @property {TODO} worker the worker that runs the job
+ * @property {function(Error=, TODO=): void} callback the callback of runLoaders
+ */
+
+// 这些方法在工作线程中有对应的实现，调用会通过消息转发回主线程
+const MARSHALLED_METHODS = new Set([
+	"resolve",
+	"emitFile",
+	"emitWarning",
+	"emitError"
+]);
+
+class LoaderWorkerPool {
+	/**
+	 * @param {{workers: number}} options options
+	 */
+	constructor(options) {
+		this.maxWorkers = options.workers;
+		this.workers = [];
+		/** @type {Map<number, LoaderWorkerJob>} */
+		this.jobs = new Map();
+		this.nextJobId = 0;
+		/** @type {Set<string>} */
+		this.mainThreadLoaders = new Set();
+	}
+
+	/**
+	 * Same signature as runLoaders from loader-runner,
+	 * but the loaders are executed in a worker when possible.
+	 * @param {NormalModule} module the module that is built
+	 * @param {Compilation} compilation the compilation
+	 * @param {TODO} options options for runLoaders
+	 * @param {function(Error=, TODO=): void} callback callback
+	 * @returns {void}
+	 */
+	runLoaders(module, compilation, options, callback) {
+		const loaders = options.loaders;
+		if (
+			loaders.length === 0 ||
+			loaders.some(loader => this.mainThreadLoaders.has(loader.loader))
+		) {
+			return runLoaders(options, callback);
+		}
+		const loader = loaders.find(
+			loader => !isCloneable({ options: loader.options, ident: loader.ident })
+		);
+		if (loader) {
+			return this._runOnMainThread(
+				module,
+				compilation,
+				loader.loader,
+				"its options can't be sent to a worker",
+				options,
+				callback
+			);
+		}
+		const context = {};
+		const unsupported = [];
+		for (const key of Object.keys(options.context)) {
+			const value = options.context[key];
+			if (typeof value === "function" && MARSHALLED_METHODS.has(key)) continue;
+			if (isCloneable(value)) {
+				context[key] = value;
+			} else {
+				unsupported.push(key);
+			}
+		}
+		const job = {
+			id: this.nextJobId++,
+			module,
+			compilation,
+			options,
+			worker: this._getWorker(),
+			callback
+		};
+		this.jobs.set(job.id, job);
+		job.worker.activeJobs++;
+		job.worker.postMessage({
+			type: "run",
+			id: job.id,
+			resource: options.resource,
+			loaders: loaders.map(loader => ({
+				loader: loader.loader,
+				options: loader.options,
+				ident: loader.ident
+			})),
+			context,
+			unsupported,
+			recordSteps: options.recordSteps
+		});
+	}
+
+	/**
+	 * Stops all workers, they are started again on demand
+	 * @returns {void}
+	 */
+	terminate() {
+		for (const worker of this.workers) {
+			worker.terminate();
+		}
+		this.workers.length = 0;
+	}
+
+	_getWorker() {
+		let worker = this.workers[0];
+		for (const w of this.workers) {
+			if (w.activeJobs < worker.activeJobs) worker = w;
+		}
+		if (
+			worker === undefined ||
+			(worker.activeJobs > 0 && this.workers.length < this.maxWorkers)
+		) {
+			worker = this._createWorker();
+		}
+		return worker;
+	}
+
+	_createWorker() {
+		const { Worker } = require("worker_threads");
+		const worker = new Worker(require.resolve("./LoaderWorker"));
+		worker.activeJobs = 0;
+		worker.on("message", message => this._handleMessage(worker, message));
+		// the worker crashed, all its jobs fail
+		worker.on("error", err => this._failWorker(worker, err));
+		// e. g. a loader called process.exit, the jobs would never finish otherwise
+		// 之后的任务由_getWorker按需启动新的工作线程
+		worker.on("exit", code =>
+			this._failWorker(
+				worker,
+				new Error(`The loader worker exited unexpectedly with code ${code}`)
+			)
+		);
+		this.workers.push(worker);
+		return worker;
+	}
+
+	_removeWorker(worker) {
+		const idx = this.workers.indexOf(worker);
+		if (idx >= 0) this.workers.splice(idx, 1);
+	}
+
+	_failWorker(worker, err) {
+		this._removeWorker(worker);
+		for (const job of Array.from(this.jobs.values())) {
+			if (job.worker === worker) {
+				this._finishJob(job);
+				job.callback(err);
+			}
+		}
+	}
+
+	_finishJob(job) {
+		this.jobs.delete(job.id);
+		job.worker.activeJobs--;
+	}
+
+	_handleMessage(worker, message) {
+		const job = this.jobs.get(message.id);
+		if (job === undefined) return;
+		const loaderContext = job.options.context;
+		switch (message.type) {
+			case "resolve":
+				loaderContext.resolve(
+					message.context,
+					message.request,
+					(err, result) => {
+						worker.postMessage({
+							type: "reply",
+							requestId: message.requestId,
+							error: err && serializeError(err),
+							result
+						});
+					}
+				);
+				break;
+			case "readResource":
+				job.options.readResource(message.path, (err, buffer) => {
+					worker.postMessage({
+						type: "reply",
+						requestId: message.requestId,
+						error: err && serializeError(err),
+						result: buffer
+					});
+				});
+				break;
+			case "unsupported":
+				this._finishJob(job);
+				this.mainThreadLoaders.add(message.loader);
+				this._runOnMainThread(
+					job.module,
+					job.compilation,
+					message.loader,
+					`it uses loaderContext.${message.api}`,
+					job.options,
+					job.callback
+				);
+				break;
+			case "done": {
+				this._finishJob(job);
+				for (const call of message.calls) {
+					loaderContext.loaderIndex = call.loaderIndex;
+					const args = call.args.map(arg => toBuffer(deserializeError(arg)));
+					loaderContext[call.name](...args);
+				}
+				// 错误信息需要知道是哪一个loader出的错
+				loaderContext.loaderIndex = message.loaderIndex;
+				const result = message.result;
+				if (result) {
+					if (result.result) result.result = result.result.map(toBuffer);
+					result.resourceBuffer = toBuffer(result.resourceBuffer);
+					if (result.loaderSteps) {
+						for (const step of result.loaderSteps) {
+							if (step.input) step.input = step.input.map(toBuffer);
+							if (step.output) step.output = step.output.map(toBuffer);
+							step.error = deserializeError(step.error);
+						}
+					}
+				}
+				job.callback(deserializeError(message.error), result);
+				break;
+			}
+		}
+	}
+
+	_runOnMainThread(module, compilation, loader, reason, options, callback) {
+		const requestShortener = compilation.runtimeTemplate.requestShortener;
+		const from = requestShortener.shorten(loader);
+		module.warnings.push(
+			new ModuleWarning(
+				module,
+				new Error(`Loader ${from} runs on the main thread because ${reason}`),
+				{ from }
+			)
+		);
+		runLoaders(options, callback);
+	}
+}
+
+module.exports = LoaderWorkerPool;
@@ -0,0 +1,77 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+"use strict";
+
+const os = require("os");
+const LoaderWorkerPool = require("./LoaderWorkerPool");
+const WebpackError = require("./WebpackError");
+
+/** @typedef {import("./Compiler")} Compiler */
+
+/**
+ * @typedef {Object} LoaderWorkerPoolPluginOptions
+ * @property {number=} workers maximum number of worker threads, defaults to the number of cpus - 1
+ */
+
+class LoaderWorkerPoolPlugin {
+	/**
+	 * @param {LoaderWorkerPoolPluginOptions=} options options
+	 */
+	constructor(options) {
+		this.options = options || {};
+	}
+
+	/**
+	 * @param {Compiler} compiler the compiler instance
+	 * @returns {void}
+	 */
+	apply(compiler) {
+		let workerThreadsAvailable = true;
+		try {
+			require("worker_threads");
+		} catch (e) {
+			workerThreadsAvailable = false;
+		}
+		if (!workerThreadsAvailable) {
+			compiler.hooks.thisCompilation.tap(
+				"LoaderWorkerPoolPlugin",
+				compilation => {
+					compilation.warnings.push(
+						new WebpackError(
+							"LoaderWorkerPoolPlugin: worker_threads are not available in this version of node.js, loaders run on the main thread."
+						)
+					);
+				}
+			);
+			return;
+		}
+		const pool = new LoaderWorkerPool({
+			workers: this.options.workers || Math.max(os.cpus().length - 1, 1)
+		});
+		let watching = false;
+		//每一次编译都使用同一个线程池
+		compiler.hooks.thisCompilation.tap(
+			"LoaderWorkerPoolPlugin",
+			compilation => {
+				compilation.loaderWorkerPool = pool;
+			}
+		);
+		compiler.hooks.watchRun.tap("LoaderWorkerPoolPlugin", () => {
+			watching = true;
+		});
+		//不再编译时结束所有工作线程，否则进程无法退出
+		compiler.hooks.done.tap("LoaderWorkerPoolPlugin", () => {
+			if (!watching) pool.terminate();
+		});
+		compiler.hooks.failed.tap("LoaderWorkerPoolPlugin", () => {
+			pool.terminate();
+		});
+		compiler.hooks.watchClose.tap("LoaderWorkerPoolPlugin", () => {
+			pool.terminate();
+		});
+	}
+}
+
+module.exports = LoaderWorkerPoolPlugin;
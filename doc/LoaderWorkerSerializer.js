@@ -0,0 +1,95 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+"use strict";
+
+/**
+ * @typedef {Object} SerializedError
+ * @property {true} __error marker to tell errors apart from other values
+ * @property {string} name error name
+ * @property {string} message error message
+ * @property {string} stack error stack
+ * @property {string=} details error details
+ * @property {boolean=} hideStack whether the stack should be hidden
+ */
+
+/**
+ * @param {Error & {details?: string, hideStack?: boolean}} error an error
+ * @returns {SerializedError} the error as plain object
+ */
+const serializeError = error => {
+	if (!(error instanceof Error)) {
+		// non-error values are wrapped by webpack later on
+		return error;
+	}
+	return {
+		__error: true,
+		name: error.name,
+		message: error.message,
+		stack: error.stack,
+		details: error.details,
+		hideStack: error.hideStack
+	};
+};
+
+/**
+ * @param {SerializedError|any} data a result of serializeError
+ * @returns {Error|any} the error
+ */
+const deserializeError = data => {
+	if (!data || data.__error !== true) return data;
+	const error = new Error(data.message);
+	error.name = data.name;
+	error.stack = data.stack;
+	if (data.details !== undefined) error.details = data.details;
+	if (data.hideStack !== undefined) error.hideStack = data.hideStack;
+	return error;
+};
+
+/**
+ * Buffers arrive as Uint8Array on the other side of a message channel
+ * @param {any} value a value received from a message
+ * @returns {any} the value with Buffer restored
+ */
+const toBuffer = value => {
+	if (value instanceof Uint8Array && !Buffer.isBuffer(value)) {
+		return Buffer.from(value.buffer, value.byteOffset, value.byteLength);
+	}
+	return value;
+};
+
+/**
+ * Checks if a value survives the structured clone of postMessage
+ * without losing its prototype or methods
+ * @param {any} value the value
+ * @param {Set<any>=} seen values that are checked already
+ * @returns {boolean} true, when the value can be send to a worker
+ */
+const isCloneable = (value, seen = new Set()) => {
+	if (value === null || value === undefined) return true;
+	switch (typeof value) {
+		case "string":
+		case "number":
+		case "boolean":
+			return true;
+		case "object":
+			break;
+		default:
+			return false;
+	}
+	if (seen.has(value)) return true;
+	seen.add(value);
+	if (Buffer.isBuffer(value) || value instanceof RegExp) return true;
+	if (Array.isArray(value)) {
+		return value.every(item => isCloneable(item, seen));
+	}
+	const proto = Object.getPrototypeOf(value);
+	if (proto !== Object.prototype && proto !== null) return false;
+	return Object.keys(value).every(key => isCloneable(value[key], seen));
+};
+
+exports.serializeError = serializeError;
+exports.deserializeError = deserializeError;
+exports.toBuffer = toBuffer;
+exports.isCloneable = isCloneable;
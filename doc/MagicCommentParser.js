@@ -0,0 +1,388 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+"use strict";
+
+/**
+ * @typedef {Object} MagicCommentKey
+ * @property {string|string[]} type allowed types of the value: string, number, boolean, regexp, array, object or null
+ * @property {any[]=} values allowed values
+ * @property {string=} items type of the items, when the value is an array
+ */
+
+/**
+ * @typedef {Object} Comment
+ * @property {string} value the text of the comment without the comment markers
+ * @property {{start: {line: number, column: number}, end: {line: number, column: number}}} loc location of the comment
+ */
+
+/** @type {Object<string, MagicCommentKey>} */
+const DEFAULT_KEYS = {
+	webpackChunkName: { type: "string" },
+	webpackMode: {
+		type: "string",
+		values: ["lazy", "lazy-once", "eager", "weak"]
+	},
+	webpackPrefetch: { type: ["boolean", "number"] },
+	webpackPreload: { type: ["boolean", "number"] },
+	webpackInclude: { type: "regexp" },
+	webpackExclude: { type: "regexp" },
+	webpackIgnore: { type: "boolean" },
+	webpackExports: { type: ["string", "array"], items: "string" }
+};
+
+const ESCAPES = {
+	b: "\b",
+	f: "\f",
+	n: "\n",
+	r: "\r",
+	t: "\t",
+	v: "\v",
+	0: "\0"
+};
+
+/**
+ * @param {any} value a value
+ * @returns {string} the type of the value as used in MagicCommentKey
+ */
+const typeOf = value => {
+	if (value === null) return "null";
+	if (value instanceof RegExp) return "regexp";
+	if (Array.isArray(value)) return "array";
+	return typeof value;
+};
+
+/**
+ * @param {any} value a value
+ * @returns {string} the value as text for error messages
+ */
+const format = value =>
+	value instanceof RegExp ? value.toString() : JSON.stringify(value);
+
+/**
+ * @param {Comment} comment a comment
+ * @param {number} offset an offset in the value of the comment
+ * @returns {{start: {line: number, column: number}, end: {line: number, column: number}}} the location of the offset in the source
+ */
+const locationOf = (comment, offset) => {
+	const lines = comment.value.slice(0, offset).split("\n");
+	const start = comment.loc.start;
+	// value从注释开头的/*或者//之后开始
+	const position =
+		lines.length === 1
+			? { line: start.line, column: start.column + 2 + offset }
+			: {
+					line: start.line + lines.length - 1,
+					column: lines[lines.length - 1].length
+			  };
+	return { start: position, end: position };
+};
+
+class MagicCommentSyntaxError extends Error {
+	/**
+	 * @param {string} message message
+	 * @param {number} offset offset of the error in the comment
+	 */
+	constructor(message, offset) {
+		super(message);
+		this.offset = offset;
+	}
+}
+
+/**
+ * Reads the content of a magic comment like the properties of an object literal:
+ * identifiers or strings as keys, strings, numbers, booleans, null, regular expressions, arrays and objects as values.
+ * Nothing in the comment is executed.
+ */
+class Reader {
+	/**
+	 * @param {string} text the content of the comment
+	 */
+	constructor(text) {
+		this.text = text;
+		this.pos = 0;
+	}
+
+	skipWhitespace() {
+		while (this.pos < this.text.length && /\s/.test(this.text[this.pos])) {
+			this.pos++;
+		}
+	}
+
+	/**
+	 * @param {string} char expected character
+	 * @returns {void}
+	 */
+	expect(char) {
+		this.skipWhitespace();
+		if (this.text[this.pos] !== char) {
+			throw new MagicCommentSyntaxError(
+				`Expected '${char}' but found ${this.describeCurrent()}`,
+				this.pos
+			);
+		}
+		this.pos++;
+	}
+
+	describeCurrent() {
+		return this.pos < this.text.length
+			? `'${this.text[this.pos]}'`
+			: "the end of the comment";
+	}
+
+	/**
+	 * @param {string} end character ending the list, or undefined for the whole comment
+	 * @returns {{key: string, offset: number, value: any}[]} the properties
+	 */
+	readProperties(end) {
+		const properties = [];
+		for (;;) {
+			this.skipWhitespace();
+			if (
+				end === undefined
+					? this.pos >= this.text.length
+					: this.text[this.pos] === end
+			) {
+				return properties;
+			}
+			const offset = this.pos;
+			const key = this.readKey();
+			this.expect(":");
+			const value = this.readValue();
+			properties.push({ key, offset, value });
+			this.skipWhitespace();
+			if (this.text[this.pos] === ",") {
+				this.pos++;
+			} else if (
+				end === undefined
+					? this.pos < this.text.length
+					: this.text[this.pos] !== end
+			) {
+				throw new MagicCommentSyntaxError(
+					`Expected ',' but found ${this.describeCurrent()}`,
+					this.pos
+				);
+			}
+		}
+	}
+
+	readKey() {
+		const char = this.text[this.pos];
+		if (char === '"' || char === "'") return this.readString();
+		const match = /^[A-Za-z_$][\w$]*/.exec(this.text.slice(this.pos));
+		if (!match) {
+			throw new MagicCommentSyntaxError(
+				`Expected a key but found ${this.describeCurrent()}`,
+				this.pos
+			);
+		}
+		this.pos += match[0].length;
+		return match[0];
+	}
+
+	readValue() {
+		this.skipWhitespace();
+		const char = this.text[this.pos];
+		if (char === '"' || char === "'") return this.readString();
+		if (char === "/") return this.readRegExp();
+		if (char === "[") {
+			this.pos++;
+			const items = [];
+			for (;;) {
+				this.skipWhitespace();
+				if (this.text[this.pos] === "]") break;
+				items.push(this.readValue());
+				this.skipWhitespace();
+				if (this.text[this.pos] === ",") {
+					this.pos++;
+				} else if (this.text[this.pos] !== "]") {
+					throw new MagicCommentSyntaxError(
+						`Expected ',' or ']' but found ${this.describeCurrent()}`,
+						this.pos
+					);
+				}
+			}
+			this.pos++;
+			return items;
+		}
+		if (char === "{") {
+			this.pos++;
+			const object = {};
+			for (const { key, value } of this.readProperties("}")) {
+				// 键为__proto__时也只是普通的属性，不能修改原型
+				Object.defineProperty(object, key, {
+					value,
+					enumerable: true,
+					writable: true,
+					configurable: true
+				});
+			}
+			this.pos++;
+			return object;
+		}
+		const rest = this.text.slice(this.pos);
+		const number = /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?/.exec(rest);
+		if (number) {
+			this.pos += number[0].length;
+			return Number(number[0]);
+		}
+		const word = /^(true|false|null)(?![\w$])/.exec(rest);
+		if (word) {
+			this.pos += word[0].length;
+			return JSON.parse(word[0]);
+		}
+		throw new MagicCommentSyntaxError(
+			`Unexpected ${this.describeCurrent()}, only strings, numbers, booleans, null, regular expressions, arrays and objects are allowed`,
+			this.pos
+		);
+	}
+
+	readString() {
+		const start = this.pos;
+		const quote = this.text[this.pos++];
+		let result = "";
+		while (this.pos < this.text.length) {
+			const char = this.text[this.pos++];
+			if (char === quote) return result;
+			if (char === "\n") break;
+			if (char !== "\\") {
+				result += char;
+				continue;
+			}
+			const escaped = this.text[this.pos++];
+			if (escaped === "u") {
+				const hex = this.text.slice(this.pos, this.pos + 4);
+				if (!/^[0-9a-fA-F]{4}$/.test(hex)) {
+					throw new MagicCommentSyntaxError(
+						"Invalid unicode escape",
+						this.pos - 2
+					);
+				}
+				result += String.fromCharCode(parseInt(hex, 16));
+				this.pos += 4;
+			} else {
+				result += ESCAPES[escaped] !== undefined ? ESCAPES[escaped] : escaped;
+			}
+		}
+		throw new MagicCommentSyntaxError("Unterminated string", start);
+	}
+
+	readRegExp() {
+		const start = this.pos;
+		this.pos++;
+		let source = "";
+		let inClass = false;
+		while (this.pos < this.text.length) {
+			const char = this.text[this.pos++];
+			if (char === "\n") break;
+			if (char === "\\") {
+				source += char + this.text[this.pos++];
+				continue;
+			}
+			// 字符类[...]中的/不结束正则表达式
+			if (char === "[") inClass = true;
+			else if (char === "]") inClass = false;
+			else if (char === "/" && !inClass) {
+				const flags = /^[a-z]*/.exec(this.text.slice(this.pos))[0];
+				this.pos += flags.length;
+				try {
+					return new RegExp(source, flags);
+				} catch (e) {
+					throw new MagicCommentSyntaxError(e.message, start);
+				}
+			}
+			source += char;
+		}
+		throw new MagicCommentSyntaxError("Unterminated regular expression", start);
+	}
+}
+
+/**
+ * Parses magic comments like `/* webpackChunkName: "name", webpackPrefetch: true *\/`
+ * and validates the values against the known keys. Plugins register additional keys with register.
+ */
+class MagicCommentParser {
+	constructor() {
+		/** @type {Map<string, MagicCommentKey>} */
+		this.keys = new Map();
+		for (const key of Object.keys(DEFAULT_KEYS)) {
+			this.register(key, DEFAULT_KEYS[key]);
+		}
+	}
+
+	/**
+	 * @param {string} key the key in the comment, e.g. webpackChunkName
+	 * @param {MagicCommentKey} definition allowed values
+	 * @returns {void}
+	 */
+	register(key, definition) {
+		this.keys.set(key, definition);
+	}
+
+	/**
+	 * @param {any} value a value
+	 * @param {MagicCommentKey} definition allowed values
+	 * @returns {string|undefined} what was expected, when the value is invalid
+	 */
+	validate(value, definition) {
+		const types = [].concat(definition.type);
+		const type = typeOf(value);
+		if (!types.includes(type)) {
+			return types.join(" or ");
+		}
+		if (definition.values && !definition.values.includes(value)) {
+			return `one of ${definition.values.map(format).join(", ")}`;
+		}
+		if (
+			type === "array" &&
+			definition.items &&
+			!value.every(item => typeOf(item) === definition.items)
+		) {
+			return `an array of ${definition.items}`;
+		}
+		return undefined;
+	}
+
+	/**
+	 * @param {Comment} comment a comment
+	 * @returns {{options: Object, errors: Error[]}} the valid options and the errors of the comment
+	 */
+	parse(comment) {
+		const options = {};
+		const errors = [];
+		const error = (message, offset) => {
+			const e = new Error(message);
+			e.comment = comment;
+			e.loc = locationOf(comment, offset);
+			errors.push(e);
+		};
+		let properties;
+		try {
+			properties = new Reader(comment.value).readProperties(undefined);
+		} catch (e) {
+			if (!(e instanceof MagicCommentSyntaxError)) throw e;
+			error(e.message, e.offset);
+			return { options, errors };
+		}
+		for (const { key, offset, value } of properties) {
+			const definition = this.keys.get(key);
+			if (definition === undefined) {
+				error(`Unknown magic comment '${key}'`, offset);
+				continue;
+			}
+			const expected = this.validate(value, definition);
+			if (expected !== undefined) {
+				error(
+					`\`${key}\` expected ${expected}, but received: ${format(value)}`,
+					offset
+				);
+				continue;
+			}
+			options[key] = value;
+		}
+		return { options, errors };
+	}
+}
+
+module.exports = MagicCommentParser;
@@ -0,0 +1,670 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+"use strict";
+
+const {
+	ConcatSource,
+	OriginalSource,
+	PrefixSource,
+	RawSource
+} = require("webpack-sources");
+const {
+	Tapable,
+	SyncWaterfallHook,
+	SyncHook,
+	SyncBailHook
+} = require("tapable");
+const Template = require("./Template");
+const RuntimeGlobals = require("./RuntimeGlobals");
+const EnsureChunkRuntimeModule = require("./EnsureChunkRuntimeModule");
+const ModuleFactoriesRuntimeModule = require("./ModuleFactoriesRuntimeModule");
+const ModuleCacheRuntimeModule = require("./ModuleCacheRuntimeModule");
+const DefinePropertyGettersRuntimeModule = require("./DefinePropertyGettersRuntimeModule");
+const MakeNamespaceObjectRuntimeModule = require("./MakeNamespaceObjectRuntimeModule");
+const CreateFakeNamespaceObjectRuntimeModule = require("./CreateFakeNamespaceObjectRuntimeModule");
+const CompatGetDefaultExportRuntimeModule = require("./CompatGetDefaultExportRuntimeModule");
+const HasOwnPropertyRuntimeModule = require("./HasOwnPropertyRuntimeModule");
+const PublicPathRuntimeModule = require("./PublicPathRuntimeModule");
+
+/** @typedef {import("webpack-sources").ConcatSource} ConcatSource */
+/** @typedef {import("webpack-sources").Source} Source */
+/** @typedef {import("./ModuleTemplate")} ModuleTemplate */
+/** @typedef {import("./Chunk")} Chunk */
+/** @typedef {import("./Module")} Module} */
+/** @typedef {import("./util/createHash").Hash} Hash} */
+/** @typedef {import("./Dependency").DependencyTemplate} DependencyTemplate} */
+/** @typedef {import("./RuntimeModule")} RuntimeModule */
+
+/**
+ * @typedef {Object} RenderManifestOptions
+ * @property {Chunk} chunk the chunk used to render
+ * @property {string} hash
+ * @property {string} fullHash
+ * @property {TODO} outputOptions
+ * @property {{javascript: ModuleTemplate, webassembly: ModuleTemplate}} moduleTemplates
+ * @property {Map<TODO, TODO>} dependencyTemplates
+ */
+
+/**
+ * @typedef {Object} BootstrapSection
+ * @property {string} name name of the section, the source is webpack/runtime/<name> in source maps
+ * @property {string[]} buf the generated lines of the section
+ */
+
+// require function shortcuts:
+// __webpack_require__.s = the module id of the entry point
+// __webpack_require__.c = the module cache
+// __webpack_require__.m = the module functions
+// __webpack_require__.p = the bundle public path
+// __webpack_require__.i = the identity function used for harmony imports
+// __webpack_require__.e = the chunk ensure function
+// __webpack_require__.d = the exported property define getter function
+// __webpack_require__.o = Object.prototype.hasOwnProperty.call
+// __webpack_require__.r = define compatibility on export
+// __webpack_require__.t = create a fake namespace object
+// __webpack_require__.n = compatibility get default export
+// __webpack_require__.h = the webpack hash
+// __webpack_require__.w = an object containing all installed WebAssembly.Instance export objects keyed by module id
+// __webpack_require__.oe = the uncaught error handler for the webpack runtime
+// __webpack_require__.nc = the script nonce
+
+//启动代码和没有声明辅助函数的模块中用到的__webpack_require__.xxx
+const RUNTIME_GLOBAL_REGEXP = /__webpack_require__\.\w+/g;
+
+/**
+ * @param {Set<string>} requirements the set the runtime globals are added to
+ * @param {string} code generated code
+ * @returns {void}
+ */
+const addRuntimeGlobals = (requirements, code) => {
+	const matches = code.match(RUNTIME_GLOBAL_REGEXP);
+	if (matches === null) return;
+	for (const match of matches) {
+		requirements.add(match);
+	}
+};
+
+module.exports = class MainTemplate extends Tapable {
+	/**
+	 *
+	 * @param {TODO=} outputOptions output options for the MainTemplate
+	 */
+	constructor(outputOptions) {
+		super();
+		/** @type {TODO?} */
+		this.outputOptions = outputOptions || {};
+		this.hooks = {
+			/** @type {SyncWaterfallHook<TODO[], RenderManifestOptions>} */
+			renderManifest: new SyncWaterfallHook(["result", "options"]),
+			modules: new SyncWaterfallHook([
+				"modules",
+				"chunk",
+				"hash",
+				"moduleTemplate",
+				"dependencyTemplates"
+			]),
+			moduleObj: new SyncWaterfallHook([
+				"source",
+				"chunk",
+				"hash",
+				"moduleIdExpression"
+			]),
+			requireEnsure: new SyncWaterfallHook([
+				"source",
+				"chunk",
+				"hash",
+				"chunkIdExpression"
+			]),
+			bootstrap: new SyncWaterfallHook([
+				"source",
+				"chunk",
+				"hash",
+				"moduleTemplate",
+				"dependencyTemplates"
+			]),
+			localVars: new SyncWaterfallHook(["source", "chunk", "hash"]),
+			require: new SyncWaterfallHook(["source", "chunk", "hash"]),
+			requireExtensions: new SyncWaterfallHook(["source", "chunk", "hash"]),
+			/** @type {SyncWaterfallHook<string, Chunk, string>} */
+			beforeStartup: new SyncWaterfallHook(["source", "chunk", "hash"]),
+			/** @type {SyncWaterfallHook<string, Chunk, string>} */
+			startup: new SyncWaterfallHook(["source", "chunk", "hash"]),
+			render: new SyncWaterfallHook([
+				"source",
+				"chunk",
+				"hash",
+				"moduleTemplate",
+				"dependencyTemplates"
+			]),
+			renderWithEntry: new SyncWaterfallHook(["source", "chunk", "hash"]),
+			moduleRequire: new SyncWaterfallHook([
+				"source",
+				"chunk",
+				"hash",
+				"moduleIdExpression"
+			]),
+			addModule: new SyncWaterfallHook([
+				"source",
+				"chunk",
+				"hash",
+				"moduleIdExpression",
+				"moduleExpression"
+			]),
+			currentHash: new SyncWaterfallHook(["source", "requestedLength"]),
+			assetPath: new SyncWaterfallHook(["path", "options"]),
+			hash: new SyncHook(["hash"]),
+			hashForChunk: new SyncHook(["hash", "chunk"]),
+			globalHashPaths: new SyncWaterfallHook(["paths"]),
+			globalHash: new SyncBailHook(["chunk", "paths"]),
+			runtimeRequirements: new SyncHook(["chunk", "requirements"]),
+
+			// TODO this should be moved somewhere else
+			// It's weird here
+			hotBootstrap: new SyncWaterfallHook(["source", "chunk", "hash"])
+		};
+		this.hooks.startup.tap("MainTemplate", (source, chunk, hash) => {
+			/** @type {string[]} */
+			const buf = [];
+			if (chunk.entryModule) {
+				buf.push("// Load entry module and return exports");
+				buf.push(
+					`return ${this.renderRequireFunctionForModule(
+						hash,
+						chunk,
+						JSON.stringify(chunk.entryModule.id)
+					)}(${this.requireFn}.s = ${JSON.stringify(chunk.entryModule.id)});`
+				);
+			}
+			return Template.asString(buf);
+		});
+		this.hooks.render.tap(
+			"MainTemplate",
+			(bootstrapSource, chunk, hash, moduleTemplate, dependencyTemplates) => {
+				const source = new ConcatSource();
+				source.add("/******/ (function(modules) { // webpackBootstrap\n");
+				source.add(new PrefixSource("/******/", bootstrapSource));
+				source.add("/******/ })\n");
+				source.add(
+					"/************************************************************************/\n"
+				);
+				source.add("/******/ (");
+				source.add(
+					this.hooks.modules.call(
+						new RawSource(""),
+						chunk,
+						hash,
+						moduleTemplate,
+						dependencyTemplates
+					)
+				);
+				source.add(")");
+				return source;
+			}
+		);
+		this.hooks.localVars.tap("MainTemplate", (source, chunk, hash) => {
+			return Template.asString([
+				source,
+				"// The module cache",
+				"var installedModules = {};"
+			]);
+		});
+		this.hooks.require.tap("MainTemplate", (source, chunk, hash) => {
+			return Template.asString([
+				source,
+				"// Check if module is in cache",
+				"if(installedModules[moduleId]) {",
+				Template.indent("return installedModules[moduleId].exports;"),
+				"}",
+				"// Create a new module (and put it into the cache)",
+				"var module = installedModules[moduleId] = {",
+				Template.indent(this.hooks.moduleObj.call("", chunk, hash, "moduleId")),
+				"};",
+				"",
+				Template.asString(
+					outputOptions.strictModuleExceptionHandling
+						? [
+								"// Execute the module function",
+								"var threw = true;",
+								"try {",
+								Template.indent([
+									`modules[moduleId].call(module.exports, module, module.exports, ${this.renderRequireFunctionForModule(
+										hash,
+										chunk,
+										"moduleId"
+									)});`,
+									"threw = false;"
+								]),
+								"} finally {",
+								Template.indent([
+									"if(threw) delete installedModules[moduleId];"
+								]),
+								"}"
+						  ]
+						: [
+								"// Execute the module function",
+								`modules[moduleId].call(module.exports, module, module.exports, ${this.renderRequireFunctionForModule(
+									hash,
+									chunk,
+									"moduleId"
+								)});`
+						  ]
+				),
+				"",
+				"// Flag the module as loaded",
+				"module.l = true;",
+				"",
+				"// Return the exports of the module",
+				"return module.exports;"
+			]);
+		});
+		this.hooks.moduleObj.tap(
+			"MainTemplate",
+			(source, chunk, hash, varModuleId) => {
+				return Template.asString(["i: moduleId,", "l: false,", "exports: {}"]);
+			}
+		);
+		this.requireFn = "__webpack_require__";
+
+		//运行时的辅助函数，只有模块或者其他辅助函数用到时才加入启动代码
+		/** @type {Map<string, RuntimeModule>} */
+		this.runtimeModules = new Map();
+		//扫描没有声明的模块生成的代码得到的辅助函数，按模块的hash缓存
+		/** @type {WeakMap<Module, {hash: string, requirements: Set<string>}>} */
+		this._moduleRuntimeRequirements = new WeakMap();
+		this.addRuntimeModule(
+			RuntimeGlobals.ensureChunk,
+			new EnsureChunkRuntimeModule()
+		);
+		this.addRuntimeModule(
+			RuntimeGlobals.moduleFactories,
+			new ModuleFactoriesRuntimeModule()
+		);
+		this.addRuntimeModule(
+			RuntimeGlobals.moduleCache,
+			new ModuleCacheRuntimeModule()
+		);
+		this.addRuntimeModule(
+			RuntimeGlobals.definePropertyGetters,
+			new DefinePropertyGettersRuntimeModule()
+		);
+		this.addRuntimeModule(
+			RuntimeGlobals.makeNamespaceObject,
+			new MakeNamespaceObjectRuntimeModule()
+		);
+		this.addRuntimeModule(
+			RuntimeGlobals.createFakeNamespaceObject,
+			new CreateFakeNamespaceObjectRuntimeModule()
+		);
+		this.addRuntimeModule(
+			RuntimeGlobals.compatGetDefaultExport,
+			new CompatGetDefaultExportRuntimeModule()
+		);
+		this.addRuntimeModule(
+			RuntimeGlobals.hasOwnProperty,
+			new HasOwnPropertyRuntimeModule()
+		);
+		this.addRuntimeModule(
+			RuntimeGlobals.publicPath,
+			new PublicPathRuntimeModule()
+		);
+	}
+
+	/**
+	 *
+	 * @param {RenderManifestOptions} options render manifest options
+	 * @returns {TODO[]} returns render manifest
+	 */
+	getRenderManifest(options) {
+		const result = [];
+
+		this.hooks.renderManifest.call(result, options);
+
+		return result;
+	}
+
+	/**
+	 * TODO webpack 5: remove moduleTemplate and dependencyTemplates
+	 * @param {string} hash hash to be used for render call
+	 * @param {Chunk} chunk Chunk instance
+	 * @param {ModuleTemplate} moduleTemplate ModuleTemplate instance for render
+	 * @param {Map<Function, DependencyTemplate>} dependencyTemplates dependency templates
+	 * @returns {string[]} the generated source of the bootstrap code
+	 */
+	renderBootstrap(hash, chunk, moduleTemplate, dependencyTemplates) {
+		const buf = [];
+		for (const section of this.renderBootstrapSections(
+			hash,
+			chunk,
+			moduleTemplate,
+			dependencyTemplates
+		)) {
+			buf.push(...section.buf);
+		}
+		return buf;
+	}
+
+	/**
+	 * @param {string} hash hash to be used for render call
+	 * @param {Chunk} chunk Chunk instance
+	 * @param {ModuleTemplate} moduleTemplate ModuleTemplate instance for render
+	 * @param {Map<Function, DependencyTemplate>} dependencyTemplates dependency templates
+	 * @returns {BootstrapSection[]} the generated bootstrap code, split by the hooks which generated it
+	 */
+	renderBootstrapSections(hash, chunk, moduleTemplate, dependencyTemplates) {
+		const bootstrap = [
+			this.hooks.bootstrap.call(
+				"",
+				chunk,
+				hash,
+				moduleTemplate,
+				dependencyTemplates
+			),
+			this.hooks.localVars.call("", chunk, hash),
+			""
+		];
+		const requireFunction = [
+			"// The require function",
+			`function ${this.requireFn}(moduleId) {`,
+			Template.indent(this.hooks.require.call("", chunk, hash)),
+			"}",
+			""
+		];
+		const requireExtensions = [
+			Template.asString(this.hooks.requireExtensions.call("", chunk, hash)),
+			""
+		];
+		const startup = [
+			Template.asString(this.hooks.beforeStartup.call("", chunk, hash)),
+			Template.asString(this.hooks.startup.call("", chunk, hash))
+		];
+		const requirements = this.getRuntimeRequirements(
+			chunk,
+			Template.asString([
+				...bootstrap,
+				...requireFunction,
+				...requireExtensions,
+				...startup
+			]),
+			moduleTemplate,
+			dependencyTemplates
+		);
+		//辅助函数按注册的顺序放在requireExtensions钩子生成的代码前面
+		const runtimeSections = [];
+		for (const [global, runtimeModule] of this.runtimeModules) {
+			if (!requirements.has(global)) continue;
+			const code = runtimeModule.generate({ chunk, hash, mainTemplate: this });
+			if (!code) continue;
+			runtimeSections.push({ name: runtimeModule.name, buf: [code, ""] });
+		}
+		return [
+			{ name: "bootstrap", buf: bootstrap },
+			{ name: "require", buf: requireFunction },
+			...runtimeSections,
+			{ name: "requireExtensions", buf: requireExtensions },
+			{ name: "startup", buf: startup }
+		];
+	}
+
+	/**
+	 * Adds a helper of the runtime. It is rendered only when the generated code uses the global.
+	 * @param {string} global the global defined by the helper, see RuntimeGlobals
+	 * @param {RuntimeModule} runtimeModule the helper
+	 * @returns {void}
+	 */
+	addRuntimeModule(global, runtimeModule) {
+		this.runtimeModules.set(global, runtimeModule);
+	}
+
+	/**
+	 * @param {Module} module a module
+	 * @param {ModuleTemplate} moduleTemplate ModuleTemplate instance for render
+	 * @param {Map<Function, DependencyTemplate>} dependencyTemplates dependency templates
+	 * @returns {Set<string>} the runtime globals used by the generated code of the module
+	 */
+	getModuleRuntimeRequirements(module, moduleTemplate, dependencyTemplates) {
+		const cacheEntry = this._moduleRuntimeRequirements.get(module);
+		if (cacheEntry !== undefined && cacheEntry.hash === module.hash) {
+			return cacheEntry.requirements;
+		}
+		const source = module.source(
+			dependencyTemplates,
+			moduleTemplate.runtimeTemplate
+		);
+		//依赖的模板生成代码时通过runtimeTemplate声明了用到的辅助函数
+		if (module.runtimeRequirements !== undefined) {
+			return module.runtimeRequirements;
+		}
+		//其他模块（例如ContextModule）自己拼接代码，只能扫描生成的代码
+		const requirements = new Set();
+		const code = source.source();
+		if (typeof code === "string") {
+			addRuntimeGlobals(requirements, code);
+		}
+		this._moduleRuntimeRequirements.set(module, {
+			hash: module.hash,
+			requirements
+		});
+		return requirements;
+	}
+
+	/**
+	 * @param {Chunk} chunk the chunk with the runtime
+	 * @param {string} code the bootstrap code generated by the hooks
+	 * @param {ModuleTemplate} moduleTemplate ModuleTemplate instance for render
+	 * @param {Map<Function, DependencyTemplate>} dependencyTemplates dependency templates
+	 * @returns {Set<string>} the runtime globals needed by the modules of all chunks using this runtime and by the bootstrap code
+	 */
+	getRuntimeRequirements(chunk, code, moduleTemplate, dependencyTemplates) {
+		const requirements = new Set();
+		addRuntimeGlobals(requirements, code);
+		//入口的其他代码块和按需加载的代码块都使用这个代码块中的运行时
+		const chunks = new Set(chunk.getAllAsyncChunks());
+		for (const chunkGroup of chunk.groupsIterable) {
+			for (const c of chunkGroup.chunks) {
+				chunks.add(c);
+			}
+		}
+		for (const c of chunks) {
+			for (const module of c.modulesIterable) {
+				for (const requirement of this.getModuleRuntimeRequirements(
+					module,
+					moduleTemplate,
+					dependencyTemplates
+				)) {
+					requirements.add(requirement);
+				}
+			}
+		}
+		this.hooks.runtimeRequirements.call(chunk, requirements);
+		//辅助函数依赖的其他辅助函数，遍历Set时新加入的元素也会被访问到
+		for (const requirement of requirements) {
+			const runtimeModule = this.runtimeModules.get(requirement);
+			if (runtimeModule === undefined) continue;
+			for (const r of runtimeModule.requirements) {
+				requirements.add(r);
+			}
+		}
+		return requirements;
+	}
+
+	/**
+	 * @param {string} hash hash to be used for render call
+	 * @param {Chunk} chunk Chunk instance
+	 * @param {ModuleTemplate} moduleTemplate ModuleTemplate instance for render
+	 * @param {Map<Function, DependencyTemplate>} dependencyTemplates dependency templates
+	 * @returns {Source} the bootstrap code, every section as its own source webpack/runtime/<name>
+	 */
+	renderBootstrapSource(hash, chunk, moduleTemplate, dependencyTemplates) {
+		const source = new ConcatSource();
+		for (const section of this.renderBootstrapSections(
+			hash,
+			chunk,
+			moduleTemplate,
+			dependencyTemplates
+		)) {
+			const code = Template.asString(section.buf);
+			if (!code.trim()) continue;
+			source.add(
+				new PrefixSource(
+					" \t",
+					new OriginalSource(code + "\n", `webpack/runtime/${section.name}`)
+				)
+			);
+		}
+		return source;
+	}
+
+	/**
+	 * @param {string} hash hash to be used for render call
+	 * @param {Chunk} chunk Chunk instance
+	 * @param {ModuleTemplate} moduleTemplate ModuleTemplate instance for render
+	 * @param {Map<Function, DependencyTemplate>} dependencyTemplates dependency templates
+	 * @returns {ConcatSource} the newly generated source from rendering
+	 */
+	render(hash, chunk, moduleTemplate, dependencyTemplates) {
+		//devtoolRuntimeSources时运行时代码在source map中按生成它的钩子分成多个源文件
+		const bootstrapSource = this.outputOptions.devtoolRuntimeSources
+			? this.renderBootstrapSource(
+					hash,
+					chunk,
+					moduleTemplate,
+					dependencyTemplates
+			  )
+			: new OriginalSource(
+					Template.prefix(
+						this.renderBootstrap(
+							hash,
+							chunk,
+							moduleTemplate,
+							dependencyTemplates
+						),
+						" \t"
+					) + "\n",
+					"webpack/bootstrap"
+			  );
+		let source = this.hooks.render.call(
+			bootstrapSource,
+			chunk,
+			hash,
+			moduleTemplate,
+			dependencyTemplates
+		);
+		if (chunk.hasEntryModule()) {
+			source = this.hooks.renderWithEntry.call(source, chunk, hash);
+		}
+		if (!source) {
+			throw new Error(
+				"Compiler error: MainTemplate plugin 'render' should return something"
+			);
+		}
+		chunk.rendered = true;
+		return new ConcatSource(source, ";");
+	}
+
+	/**
+	 *
+	 * @param {string} hash hash for render fn
+	 * @param {Chunk} chunk Chunk instance for require
+	 * @param {(number|string)=} varModuleId module id
+	 * @returns {TODO} the moduleRequire hook call return signature
+	 */
+	renderRequireFunctionForModule(hash, chunk, varModuleId) {
+		return this.hooks.moduleRequire.call(
+			this.requireFn,
+			chunk,
+			hash,
+			varModuleId
+		);
+	}
+
+	/**
+	 *
+	 * @param {string} hash hash for render add fn
+	 * @param {Chunk} chunk Chunk instance for require add fn
+	 * @param {(string|number)=} varModuleId module id
+	 * @param {Module} varModule Module instance
+	 * @returns {TODO} renderAddModule call
+	 */
+	renderAddModule(hash, chunk, varModuleId, varModule) {
+		return this.hooks.addModule.call(
+			`modules[${varModuleId}] = ${varModule};`,
+			chunk,
+			hash,
+			varModuleId,
+			varModule
+		);
+	}
+
+	/**
+	 *
+	 * @param {string} hash string hash
+	 * @param {number=} length length
+	 * @returns {string} call hook return
+	 */
+	renderCurrentHashCode(hash, length) {
+		length = length || Infinity;
+		return this.hooks.currentHash.call(
+			JSON.stringify(hash.substr(0, length)),
+			length
+		);
+	}
+
+	/**
+	 *
+	 * @param {object} options get public path options
+	 * @returns {string} hook call
+	 */
+	getPublicPath(options) {
+		return this.hooks.assetPath.call(
+			this.outputOptions.publicPath || "",
+			options
+		);
+	}
+
+	getAssetPath(path, options) {
+		return this.hooks.assetPath.call(path, options);
+	}
+
+	/**
+	 * Updates hash with information from this template
+	 * @param {Hash} hash the hash to update
+	 * @returns {void}
+	 */
+	updateHash(hash) {
+		hash.update("maintemplate");
+		hash.update("4");
+		if (this.outputOptions.devtoolRuntimeSources) {
+			hash.update("runtime sources");
+		}
+		this.hooks.hash.call(hash);
+	}
+
+	/**
+	 * TODO webpack 5: remove moduleTemplate and dependencyTemplates
+	 * Updates hash with chunk-specific information from this template
+	 * @param {Hash} hash the hash to update
+	 * @param {Chunk} chunk the chunk
+	 * @param {ModuleTemplate} moduleTemplate ModuleTemplate instance for render
+	 * @param {Map<Function, DependencyTemplate>} dependencyTemplates dependency templates
+	 * @returns {void}
+	 */
+	updateHashForChunk(hash, chunk, moduleTemplate, dependencyTemplates) {
+		this.updateHash(hash);
+		this.hooks.hashForChunk.call(hash, chunk);
+		for (const line of this.renderBootstrap(
+			"0000",
+			chunk,
+			moduleTemplate,
+			dependencyTemplates
+		)) {
+			hash.update(line);
+		}
+	}
+
+	useChunkHash(chunk) {
+		const paths = this.hooks.globalHashPaths.call([]);
+		return !this.hooks.globalHash.call(chunk, paths);
+	}
+};
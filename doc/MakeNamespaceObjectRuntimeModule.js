@@ -0,0 +1,38 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+"use strict";
+
+const RuntimeModule = require("./RuntimeModule");
+const Template = require("./Template");
+
+/** @typedef {import("./RuntimeModule").RuntimeModuleContext} RuntimeModuleContext */
+
+class MakeNamespaceObjectRuntimeModule extends RuntimeModule {
+	constructor() {
+		super("make namespace object");
+	}
+
+	/**
+	 * @param {RuntimeModuleContext} context context
+	 * @returns {string} the code of the helper
+	 */
+	generate({ mainTemplate }) {
+		return Template.asString([
+			"// define __esModule on exports",
+			`${mainTemplate.requireFn}.r = function(exports) {`,
+			Template.indent([
+				"if(typeof Symbol !== 'undefined' && Symbol.toStringTag) {",
+				Template.indent([
+					"Object.defineProperty(exports, Symbol.toStringTag, { value: 'Module' });"
+				]),
+				"}",
+				"Object.defineProperty(exports, '__esModule', { value: true });"
+			]),
+			"};"
+		]);
+	}
+}
+
+module.exports = MakeNamespaceObjectRuntimeModule;
@@ -0,0 +1,29 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+"use strict";
+
+const RuntimeModule = require("./RuntimeModule");
+const Template = require("./Template");
+
+/** @typedef {import("./RuntimeModule").RuntimeModuleContext} RuntimeModuleContext */
+
+class ModuleCacheRuntimeModule extends RuntimeModule {
+	constructor() {
+		super("module cache");
+	}
+
+	/**
+	 * @param {RuntimeModuleContext} context context
+	 * @returns {string} the code of the helper
+	 */
+	generate({ mainTemplate }) {
+		return Template.asString([
+			"// expose the module cache",
+			`${mainTemplate.requireFn}.c = installedModules;`
+		]);
+	}
+}
+
+module.exports = ModuleCacheRuntimeModule;
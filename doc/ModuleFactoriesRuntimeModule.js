@@ -0,0 +1,29 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+"use strict";
+
+const RuntimeModule = require("./RuntimeModule");
+const Template = require("./Template");
+
+/** @typedef {import("./RuntimeModule").RuntimeModuleContext} RuntimeModuleContext */
+
+class ModuleFactoriesRuntimeModule extends RuntimeModule {
+	constructor() {
+		super("module factories");
+	}
+
+	/**
+	 * @param {RuntimeModuleContext} context context
+	 * @returns {string} the code of the helper
+	 */
+	generate({ mainTemplate }) {
+		return Template.asString([
+			"// expose the modules object (__webpack_modules__)",
+			`${mainTemplate.requireFn}.m = modules;`
+		]);
+	}
+}
+
+module.exports = ModuleFactoriesRuntimeModule;
@@ -0,0 +1,325 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+"use strict";
+
+const { RawSource } = require("webpack-sources");
+const formatLocation = require("./formatLocation");
+
+/** @typedef {import("./Compiler")} Compiler */
+/** @typedef {import("./Compilation")} Compilation */
+/** @typedef {import("./Module")} Module */
+
+/**
+ * @typedef {Object} ModuleGraphReportPluginOptions
+ * @property {string=} filename name of the emitted report, defaults to module-graph.html
+ */
+
+const pluginName = "ModuleGraphReportPlugin";
+
+/**
+ * Collects modules, reasons and chunks of a sealed compilation.
+ * Modules reference each other by their index in `modules`, because ids may be null.
+ * @param {Compilation} compilation the compilation
+ * @returns {TODO} data shown in the report
+ */
+const collectGraph = compilation => {
+	const requestShortener = compilation.runtimeTemplate.requestShortener;
+	/** @type {Map<Module, number>} */
+	const moduleIndex = new Map();
+	compilation.modules.forEach((module, idx) => moduleIndex.set(module, idx));
+
+	const modules = compilation.modules.map(module => ({
+		id: module.id,
+		name: module.readableIdentifier(requestShortener),
+		identifier: module.identifier(),
+		type: module.type,
+		size: module.size(),
+		chunks: Array.from(module.chunksIterable, chunk => chunk.id),
+		// 模块合并(scope hoisting)之后，被合并的模块不会再单独出现在模块列表里
+		concatenated: Array.isArray(module.modules)
+			? module.modules.map(m => m.readableIdentifier(requestShortener))
+			: [],
+		reasons: module.reasons
+			// 来源模块可能已经被合并到别的模块中了
+			.filter(reason => !reason.module || moduleIndex.has(reason.module))
+			.map(reason => {
+				const dependency = reason.dependency;
+				return {
+					// 没有来源模块的是入口依赖
+					module: reason.module ? moduleIndex.get(reason.module) : null,
+					type: dependency ? dependency.type : null,
+					request: dependency && dependency.request,
+					loc:
+						dependency && dependency.loc ? formatLocation(dependency.loc) : "",
+					explanation: reason.explanation
+				};
+			})
+	}));
+
+	const chunks = compilation.chunks.map(chunk => ({
+		id: chunk.id,
+		name: chunk.name,
+		files: chunk.files,
+		initial: chunk.canBeInitial(),
+		groups: Array.from(
+			chunk.groupsIterable,
+			group => group.name || group.debugId
+		),
+		modules: Array.from(chunk.modulesIterable, module =>
+			moduleIndex.get(module)
+		).filter(idx => idx !== undefined)
+	}));
+
+	return {
+		hash: compilation.hash,
+		entrypoints: Array.from(compilation.entrypoints.keys()),
+		modules,
+		chunks
+	};
+};
+
+/**
+ * @param {TODO} data result of collectGraph
+ * @returns {string} a html page without external resources
+ */
+const renderReport = data => {
+	// 防止模块名中的</script>提前结束脚本
+	const json = JSON.stringify(data)
+		.replace(/</g, "\\u003c")
+		.replace(/\u2028/g, "\\u2028")
+		.replace(/\u2029/g, "\\u2029");
+	return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>webpack module graph</title>
+<style>
+body { margin: 0; font: 13px/1.4 sans-serif; display: flex; height: 100vh; }
+#sidebar { width: 40%; display: flex; flex-direction: column; border-right: 1px solid #ccc; }
+#filters { padding: 8px; border-bottom: 1px solid #ccc; }
+#filters input, #filters select { width: 100%; box-sizing: border-box; margin-bottom: 4px; }
+#list { overflow: auto; flex: 1; margin: 0; padding: 0; list-style: none; }
+#list li { padding: 2px 8px; cursor: pointer; white-space: nowrap; }
+#list li:hover, #list li.selected { background: #e8f0fe; }
+#details { flex: 1; overflow: auto; padding: 8px 16px; }
+a { color: #1a73e8; cursor: pointer; text-decoration: none; }
+.size, .muted { color: #888; }
+.chunk { display: inline-block; padding: 0 4px; margin-right: 2px; border-radius: 3px; background: #eee; }
+table { border-collapse: collapse; }
+td, th { padding: 2px 8px; text-align: left; vertical-align: top; }
+ol.path li { margin-bottom: 4px; }
+</style>
+</head>
+<body>
+<div id="sidebar">
+<div id="filters">
+<input id="search" placeholder="Filter modules">
+<select id="chunk"><option value="">All chunks</option></select>
+<span id="count" class="muted"></span>
+</div>
+<ul id="list"></ul>
+</div>
+<div id="details"></div>
+<script>
+var data = ${json};
+(function() {
+	var modules = data.modules;
+	var chunks = data.chunks;
+	var chunkById = {};
+	chunks.forEach(function(chunk) { chunkById[chunk.id] = chunk; });
+	// outgoing edges are the reasons read backwards
+	var dependencies = modules.map(function() { return []; });
+	modules.forEach(function(module, idx) {
+		module.reasons.forEach(function(reason) {
+			if (reason.module !== null && dependencies[reason.module].indexOf(idx) < 0) {
+				dependencies[reason.module].push(idx);
+			}
+		});
+	});
+
+	var $ = function(id) { return document.getElementById(id); };
+	var escape = function(str) {
+		return String(str).replace(/[&<>"]/g, function(c) {
+			return { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" }[c];
+		});
+	};
+	var formatSize = function(size) {
+		if (size < 1024) return size + " B";
+		return (size / 1024).toFixed(2) + " KiB";
+	};
+	var chunkLabel = function(id) {
+		var chunk = chunkById[id];
+		var label = chunk && chunk.name ? id + " (" + chunk.name + ")" : id;
+		return '<a class="chunk" data-chunk="' + escape(id) + '">' + escape(label) + "</a>";
+	};
+	var moduleLink = function(idx) {
+		return '<a data-module="' + idx + '">' + escape(modules[idx].name) + "</a>";
+	};
+
+	// shortest chain of reasons from an entry to the module
+	var pathToEntry = function(start) {
+		var previous = {};
+		previous[start] = null;
+		var queue = [start];
+		while (queue.length > 0) {
+			var idx = queue.shift();
+			var reasons = modules[idx].reasons;
+			for (var i = 0; i < reasons.length; i++) {
+				var reason = reasons[i];
+				if (reason.module === null) {
+					var path = [{ module: idx, reason: reason }];
+					while (previous[idx] !== null) {
+						path.push(previous[idx]);
+						idx = previous[idx].module;
+					}
+					return path;
+				}
+				if (!(reason.module in previous)) {
+					previous[reason.module] = { module: idx, reason: reason };
+					queue.push(reason.module);
+				}
+			}
+		}
+		return null;
+	};
+	var describeReason = function(reason) {
+		var text = escape(reason.type || "");
+		if (reason.request) text += " <code>" + escape(reason.request) + "</code>";
+		if (reason.loc) text += ' <span class="muted">' + escape(reason.loc) + "</span>";
+		if (reason.explanation) text += ' <span class="muted">' + escape(reason.explanation) + "</span>";
+		return text;
+	};
+
+	var selected = null;
+	var renderModule = function(idx) {
+		selected = idx;
+		var module = modules[idx];
+		var html = "<h2>" + escape(module.name) + "</h2>";
+		html += "<table>";
+		html += "<tr><th>id</th><td>" + escape(module.id) + "</td></tr>";
+		html += "<tr><th>identifier</th><td>" + escape(module.identifier) + "</td></tr>";
+		html += "<tr><th>type</th><td>" + escape(module.type) + "</td></tr>";
+		html += "<tr><th>size</th><td>" + formatSize(module.size) + "</td></tr>";
+		html += "<tr><th>chunks</th><td>" + module.chunks.map(chunkLabel).join("") + "</td></tr>";
+		html += "</table>";
+
+		html += "<h3>Why is it included?</h3>";
+		var path = pathToEntry(idx);
+		if (path === null) {
+			html += '<p class="muted">No chain of reasons leads to an entry.</p>';
+		} else {
+			html += '<ol class="path">';
+			path.forEach(function(step) {
+				html += "<li>" + moduleLink(step.module) + "<br>" + describeReason(step.reason) + "</li>";
+			});
+			html += "</ol>";
+		}
+
+		html += "<h3>Reasons (" + module.reasons.length + ")</h3><ul>";
+		module.reasons.forEach(function(reason) {
+			html += "<li>" + (reason.module === null ? "entry" : moduleLink(reason.module)) + " " + describeReason(reason) + "</li>";
+		});
+		html += "</ul>";
+
+		html += "<h3>Dependencies (" + dependencies[idx].length + ")</h3><ul>";
+		dependencies[idx].forEach(function(dep) {
+			html += "<li>" + moduleLink(dep) + ' <span class="size">' + formatSize(modules[dep].size) + "</span></li>";
+		});
+		html += "</ul>";
+
+		if (module.concatenated.length > 0) {
+			html += "<h3>Concatenated modules</h3><ul>";
+			module.concatenated.forEach(function(name) {
+				html += "<li>" + escape(name) + "</li>";
+			});
+			html += "</ul>";
+		}
+		$("details").innerHTML = html;
+		renderList();
+	};
+
+	var renderChunks = function() {
+		var html = "<h2>Chunks</h2><table><tr><th>id</th><th>name</th><th>initial</th><th>groups</th><th>files</th><th>modules</th><th>size</th></tr>";
+		chunks.forEach(function(chunk) {
+			var size = chunk.modules.reduce(function(sum, idx) { return sum + modules[idx].size; }, 0);
+			html += "<tr><td>" + chunkLabel(chunk.id) + "</td><td>" + escape(chunk.name || "") + "</td><td>" + (chunk.initial ? "yes" : "no") +
+				"</td><td>" + escape(chunk.groups.join(", ")) + "</td><td>" + escape(chunk.files.join(", ")) +
+				"</td><td>" + chunk.modules.length + "</td><td>" + formatSize(size) + "</td></tr>";
+		});
+		html += "</table>";
+		html += "<p>Entrypoints: " + escape(data.entrypoints.join(", ")) + "</p>";
+		$("details").innerHTML = html;
+	};
+
+	var renderList = function() {
+		var search = $("search").value.toLowerCase();
+		var chunk = $("chunk").value;
+		var html = "";
+		var count = 0;
+		modules.forEach(function(module, idx) {
+			if (search && module.name.toLowerCase().indexOf(search) < 0) return;
+			if (chunk && !module.chunks.some(function(id) { return String(id) === chunk; })) return;
+			count++;
+			html += '<li data-module="' + idx + '"' + (idx === selected ? ' class="selected"' : "") + ">" +
+				escape(module.name) + ' <span class="size">' + formatSize(module.size) + "</span> " +
+				module.chunks.map(chunkLabel).join("") + "</li>";
+		});
+		$("list").innerHTML = html;
+		$("count").textContent = count + " of " + modules.length + " modules";
+	};
+
+	chunks.forEach(function(chunk) {
+		var option = document.createElement("option");
+		option.value = chunk.id;
+		option.textContent = chunk.name ? chunk.id + " (" + chunk.name + ")" : chunk.id;
+		$("chunk").appendChild(option);
+	});
+	$("search").oninput = renderList;
+	$("chunk").onchange = renderList;
+	document.body.onclick = function(e) {
+		var target = e.target.closest("[data-chunk], [data-module]");
+		if (!target) return;
+		if (target.hasAttribute("data-chunk")) {
+			$("chunk").value = target.getAttribute("data-chunk");
+			renderList();
+		} else {
+			renderModule(+target.getAttribute("data-module"));
+		}
+	};
+	renderList();
+	renderChunks();
+})();
+</script>
+</body>
+</html>
+`;
+};
+
+class ModuleGraphReportPlugin {
+	/**
+	 * @param {ModuleGraphReportPluginOptions=} options options
+	 */
+	constructor(options) {
+		this.options = options || {};
+	}
+
+	/**
+	 * @param {Compiler} compiler the compiler instance
+	 * @returns {void}
+	 */
+	apply(compiler) {
+		const filename = this.options.filename || "module-graph.html";
+		compiler.hooks.thisCompilation.tap(pluginName, compilation => {
+			//此时seal已经完成，模块都已经分配到了代码块中
+			compilation.hooks.additionalAssets.tap(pluginName, () => {
+				compilation.assets[filename] = new RawSource(
+					renderReport(collectGraph(compilation))
+				);
+			});
+		});
+	}
+}
+
+module.exports = ModuleGraphReportPlugin;
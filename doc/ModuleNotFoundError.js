@@ -0,0 +1,28 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+"use strict";
+
+const WebpackError = require("./WebpackError");
+
+class ModuleNotFoundError extends WebpackError {
+	constructor(module, err) {
+		super("Module not found: " + err);
+
+		this.name = "ModuleNotFoundError";
+		this.code = "WP_MODULE_NOT_FOUND";
+		this.hint =
+			"Check the path of the request, or add the extension of the file to resolve.extensions";
+		this.details = err.details;
+		this.missing = err.missing;
+		//resolve.explain开启时解析器记录的所有尝试过的步骤
+		this.explain = err.explain;
+		this.module = module;
+		this.error = err;
+
+		Error.captureStackTrace(this, this.constructor);
+	}
+}
+
+module.exports = ModuleNotFoundError;
@@ -0,0 +1,110 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+"use strict";
+
+const WebpackError = require("./WebpackError");
+const originalPositionFor = require("./originalPositionFor");
+
+/** @typedef {import("./Module")} Module */
+/** @typedef {import("./originalPositionFor").OriginalPosition} OriginalPosition */
+
+/**
+ * @param {string} source source code
+ * @param {{line: number, column: number}} loc the position of the error, line starting at 1
+ * @returns {string} two lines before and after the error with line numbers, the column marked with ^
+ */
+const codeFrame = (source, loc) => {
+	const sourceLines = source.split("\n");
+	const start = Math.max(1, loc.line - 2);
+	const end = Math.min(sourceLines.length, loc.line + 2);
+	const width = String(end).length;
+	const frame = [];
+	for (let lineNumber = start; lineNumber <= end; lineNumber++) {
+		const line = sourceLines[lineNumber - 1].replace(/\r$/, "");
+		const gutter = (" ".repeat(width) + lineNumber).slice(-width);
+		const marker = lineNumber === loc.line ? ">" : " ";
+		frame.push(`\n${marker} ${gutter} | ${line}`);
+		if (lineNumber === loc.line && typeof loc.column === "number") {
+			// tab保持原样，这样^和出错的字符对齐
+			const indent = line.slice(0, loc.column).replace(/[^\t]/g, " ");
+			frame.push(`\n  ${" ".repeat(width)} | ${indent}^`);
+		}
+	}
+	return frame.join("");
+};
+
+class ModuleParseError extends WebpackError {
+	/**
+	 * @param {Module} module the errored module
+	 * @param {string} source source code
+	 * @param {Error&any} err the parse error
+	 * @param {{loaders?: string[], sourceMap?: (string|Object)=}=} options the loaders which transformed the source and the source map returned by them
+	 */
+	constructor(module, source, err, { loaders = [], sourceMap = null } = {}) {
+		let message = "Module parse failed: " + err.message;
+		let loc = undefined;
+		let originalLoc = undefined;
+		//源代码是loader处理之后的结果，所以列出处理过它的loader
+		let hint;
+		if (loaders.length > 0) {
+			message += `\nFile was processed with these loaders:${loaders
+				.map(loader => `\n * ${loader}`)
+				.join("")}`;
+			hint =
+				"You may need an additional loader to handle the result of these loaders.";
+		} else {
+			hint = "You may need an appropriate loader to handle this file type.";
+		}
+		message += "\n" + hint;
+		if (
+			err.loc &&
+			typeof err.loc === "object" &&
+			typeof err.loc.line === "number"
+		) {
+			if (/[\0\u0001\u0002\u0003\u0004\u0005\u0006\u0007]/.test(source)) {
+				// binary file
+				message += "\n(Source code omitted for this binary file)";
+			} else {
+				message += codeFrame(source, err.loc);
+			}
+			loc = err.loc;
+			if (sourceMap) {
+				try {
+					originalLoc = originalPositionFor(
+						sourceMap,
+						err.loc.line,
+						err.loc.column || 0
+					);
+				} catch (e) {
+					// 无效的source map只是不显示原始位置
+					originalLoc = null;
+				}
+				if (originalLoc) {
+					message += `\nOriginal location: ${originalLoc.source}:${
+						originalLoc.line
+					}:${originalLoc.column}`;
+				}
+			}
+		} else {
+			message += "\n" + err.stack;
+		}
+
+		super(message);
+
+		this.name = "ModuleParseError";
+		this.code = "WP_MODULE_PARSE_FAILED";
+		this.hint = hint;
+		this.module = module;
+		this.loc = loc;
+		//loader返回了source map时，错误在原始文件中的位置
+		/** @type {OriginalPosition=} */
+		this.originalLoc = originalLoc || undefined;
+		this.error = err;
+
+		Error.captureStackTrace(this, this.constructor);
+	}
+}
+
+module.exports = ModuleParseError;
@@ -0,0 +1,30 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const mkdirp = require("mkdirp");
+
+class NodeOutputFileSystem {
+	constructor() {
+		this.mkdirp = mkdirp;
+		this.mkdir = fs.mkdir.bind(fs);
+		this.rmdir = fs.rmdir.bind(fs);
+		this.unlink = fs.unlink.bind(fs);
+		this.writeFile = fs.writeFile.bind(fs);
+		//emitAssets用来比较已有文件的内容和删除过期的文件
+		this.readFile = fs.readFile.bind(fs);
+		this.readdir = fs.readdir.bind(fs);
+		this.stat = fs.stat.bind(fs);
+		//删除文件时不跟随符号链接
+		this.lstat = fs.lstat.bind(fs);
+		//output.atomic用来把临时目录换到输出目录
+		this.rename = fs.rename.bind(fs);
+		this.join = path.join.bind(path);
+	}
+}
+
+module.exports = NodeOutputFileSystem;
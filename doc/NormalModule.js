@@ -0,0 +1,771 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+"use strict";
+
+const NativeModule = require("module");
+
+const {
+	CachedSource,
+	LineToLineMappedSource,
+	OriginalSource,
+	RawSource,
+	SourceMapSource
+} = require("webpack-sources");
+const { getContext, runLoaders } = require("loader-runner");
+
+const WebpackError = require("./WebpackError");
+const Module = require("./Module");
+const ModuleParseError = require("./ModuleParseError");
+const ModuleBuildError = require("./ModuleBuildError");
+const ModuleError = require("./ModuleError");
+const ModuleWarning = require("./ModuleWarning");
+const createHash = require("./util/createHash");
+const contextify = require("./util/identifier").contextify;
+const {
+	serializeParseResult,
+	restoreParseResult
+} = require("./parseResultSerializer");
+
+/** @typedef {import("./util/createHash").Hash} Hash */
+/** @typedef {import("./Compilation")} Compilation */
+
+const asString = buf => {
+	if (Buffer.isBuffer(buf)) {
+		return buf.toString("utf-8");
+	}
+	return buf;
+};
+
+const asBuffer = str => {
+	if (!Buffer.isBuffer(str)) {
+		return Buffer.from(str, "utf-8");
+	}
+	return str;
+};
+
+class NonErrorEmittedError extends WebpackError {
+	constructor(error) {
+		super();
+
+		this.name = "NonErrorEmittedError";
+		this.message = "(Emitted value instead of an instance of Error) " + error;
+
+		Error.captureStackTrace(this, this.constructor);
+	}
+}
+
+/**
+ * @param {TODO} virtualModule a virtual module registered on the NormalModuleFactory
+ * @param {function(Error=, Buffer=): void} callback callback with the content
+ * @returns {void}
+ */
+const readVirtualModule = (virtualModule, callback) => {
+	// 回调在promise之外执行，loader中抛出的错误不会被当成source函数的错误
+	const done = (err, content) => process.nextTick(callback, err, content);
+	Promise.resolve()
+		.then(() => virtualModule.source())
+		.then(content => {
+			if (!Buffer.isBuffer(content) && typeof content !== "string") {
+				throw new Error(
+					"source of a virtual module must return a Buffer or String"
+				);
+			}
+			done(null, asBuffer(content));
+		}, done);
+};
+
+/**
+ * @typedef {Object} CachedSourceEntry
+ * @property {TODO} source the generated source
+ * @property {string} hash the hash value
+ */
+
+class NormalModule extends Module {
+	constructor({
+		type,
+		request,
+		userRequest,
+		rawRequest,
+		loaders,
+		resource,
+		matchResource,
+		parser,
+		generator,
+		resolveOptions,
+		virtualModule
+	}) {
+		super(type, virtualModule ? virtualModule.context : getContext(resource));
+
+		// Info from Factory
+		this.request = request;
+		this.userRequest = userRequest;
+		this.rawRequest = rawRequest;
+		this.binary = type.startsWith("webassembly");
+		this.parser = parser;
+		this.generator = generator;
+		this.resource = resource;
+		this.matchResource = matchResource;
+		this.loaders = loaders;
+		if (resolveOptions !== undefined) this.resolveOptions = resolveOptions;
+		this.virtualModule = virtualModule;//不是undefined时内容由NormalModuleFactory中注册的函数生成
+
+		// Info from Build
+		this.error = null;
+		this._source = null;
+		//loader返回的source map，解析失败时用来找到原始文件中的位置，解析之后就不再需要
+		/** @private */
+		this._loaderSourceMap = null;
+		this._buildHash = "";
+		this.buildTimestamp = undefined;
+		/** @private @type {Map<string, CachedSourceEntry>} */
+		this._cachedSources = new Map();
+
+		// Options for the NormalModule set by plugins
+		// TODO refactor this -> options object filled from Factory
+		this.useSourceMap = false;
+		this.lineToLine = false;
+
+		// Cache
+		this._lastSuccessfulBuildMeta = {};
+	}
+
+	identifier() {
+		return this.request;
+	}
+
+	readableIdentifier(requestShortener) {
+		return requestShortener.shorten(this.userRequest);
+	}
+
+	libIdent(options) {
+		return contextify(options.context, this.userRequest);
+	}
+
+	nameForCondition() {
+		const resource = this.matchResource || this.resource;
+		const idx = resource.indexOf("?");
+		if (idx >= 0) return resource.substr(0, idx);
+		return resource;
+	}
+
+	updateCacheModule(module) {
+		this.type = module.type;
+		this.request = module.request;
+		this.userRequest = module.userRequest;
+		this.rawRequest = module.rawRequest;
+		this.parser = module.parser;
+		this.generator = module.generator;
+		this.resource = module.resource;
+		this.matchResource = module.matchResource;
+		this.loaders = module.loaders;
+		this.resolveOptions = module.resolveOptions;
+		this.virtualModule = module.virtualModule;
+	}
+
+	createSourceForAsset(name, content, sourceMap) {
+		if (!sourceMap) {
+			return new RawSource(content);
+		}
+
+		if (typeof sourceMap === "string") {
+			return new OriginalSource(content, sourceMap);
+		}
+
+		return new SourceMapSource(content, name, sourceMap);
+	}
+
+	createLoaderContext(resolver, options, compilation, fs) {
+		const requestShortener = compilation.runtimeTemplate.requestShortener;
+		const loaderContext = {
+			version: 2,
+			emitWarning: warning => {
+				if (!(warning instanceof Error)) {
+					warning = new NonErrorEmittedError(warning);
+				}
+				const currentLoader = this.getCurrentLoader(loaderContext);
+				this.warnings.push(
+					new ModuleWarning(this, warning, {
+						from: requestShortener.shorten(currentLoader.loader)
+					})
+				);
+			},
+			emitError: error => {
+				if (!(error instanceof Error)) {
+					error = new NonErrorEmittedError(error);
+				}
+				const currentLoader = this.getCurrentLoader(loaderContext);
+				this.errors.push(
+					new ModuleError(this, error, {
+						from: requestShortener.shorten(currentLoader.loader)
+					})
+				);
+			},
+			// TODO remove in webpack 5
+			exec: (code, filename) => {
+				// @ts-ignore Argument of type 'this' is not assignable to parameter of type 'Module'.
+				const module = new NativeModule(filename, this);
+				// @ts-ignore _nodeModulePaths is deprecated and undocumented Node.js API
+				module.paths = NativeModule._nodeModulePaths(this.context);
+				module.filename = filename;
+				module._compile(code, filename);
+				return module.exports;
+			},
+			resolve(context, request, callback) {
+				resolver.resolve({}, context, request, {}, callback);
+			},
+			emitFile: (name, content, sourceMap) => {
+				if (!this.buildInfo.assets) {
+					this.buildInfo.assets = Object.create(null);
+				}
+				this.buildInfo.assets[name] = this.createSourceForAsset(
+					name,
+					content,
+					sourceMap
+				);
+			},
+			rootContext: options.context,
+			webpack: true,
+			sourceMap: !!this.useSourceMap,
+			_module: this,
+			_compilation: compilation,
+			_compiler: compilation.compiler,
+			fs: fs
+		};
+		//创建loaderContext
+		compilation.hooks.normalModuleLoader.call(loaderContext, this);
+		if (options.loader) {
+			Object.assign(loaderContext, options.loader);
+		}
+
+		return loaderContext;
+	}
+
+	getCurrentLoader(loaderContext, index = loaderContext.loaderIndex) {
+		if (
+			this.loaders &&
+			this.loaders.length &&
+			index < this.loaders.length &&
+			index >= 0 &&
+			this.loaders[index]
+		) {
+			return this.loaders[index];
+		}
+		return null;
+	}
+
+	createSource(source, resourceBuffer, sourceMap) {
+		// if there is no identifier return raw source
+		if (!this.identifier) {
+			return new RawSource(source);
+		}
+
+		// from here on we assume we have an identifier
+		const identifier = this.identifier();
+
+		if (this.lineToLine && resourceBuffer) {
+			return new LineToLineMappedSource(
+				source,
+				identifier,
+				asString(resourceBuffer)
+			);
+		}
+
+		if (this.useSourceMap && sourceMap) {
+			return new SourceMapSource(source, identifier, sourceMap);
+		}
+
+		if (Buffer.isBuffer(source)) {
+			// @ts-ignore
+			// TODO We need to fix @types/webpack-sources to allow RawSource to take a Buffer | string
+			return new RawSource(source);
+		}
+
+		return new OriginalSource(source, identifier);
+	}
+
+	doBuild(options, compilation, resolver, fs, callback) {
+		//创建loaderContext
+		const loaderContext = this.createLoaderContext(
+			resolver,
+			options,
+			compilation,
+			fs
+		);
+
+		//开启了LoaderWorkerPoolPlugin时loader会在工作线程中执行
+		//虚拟模块的内容只能在主线程中生成
+		const virtualModule = this.virtualModule;
+		const loaderWorkerPool = !virtualModule && compilation.loaderWorkerPool;
+		const run = loaderWorkerPool
+			? loaderWorkerPool.runLoaders.bind(loaderWorkerPool, this, compilation)
+			: runLoaders;
+		run(
+			{
+				resource: this.resource,
+				loaders: this.loaders,
+				context: loaderContext,
+				readResource: virtualModule
+					? (resourcePath, callback) =>
+							readVirtualModule(virtualModule, callback)
+					: fs.readFile.bind(fs),
+				contextDirectory: virtualModule && virtualModule.context,
+				traceLoader:
+					compilation.tracer &&
+					((loader, kind) =>
+						compilation.tracer.beginLoader(this, loader, kind)),
+				recordSteps: compilation.recordLoaderSteps,
+				signal: compilation.signal
+			},
+			(err, result) => {
+				if (result) {
+					if (result.loaderSteps) {
+						this.buildInfo.loaderSteps = result.loaderSteps;
+					}
+					this.buildInfo.cacheable = result.cacheable;
+					this.buildInfo.fileDependencies = new Set(result.fileDependencies);
+					this.buildInfo.contextDependencies = new Set(
+						result.contextDependencies
+					);
+					//虚拟模块不是文件，监听的是生成它的内容时用到的文件
+					if (virtualModule) {
+						this.buildInfo.fileDependencies.delete(
+							this.resource.replace(/\?.*/, "")
+						);
+						for (const file of virtualModule.dependencies) {
+							this.buildInfo.fileDependencies.add(file);
+						}
+						for (const dir of virtualModule.contextDependencies) {
+							this.buildInfo.contextDependencies.add(dir);
+						}
+						this.buildInfo.virtualModuleVersion = virtualModule.version;
+					}
+				}
+
+				if (err) {
+					if (!(err instanceof Error)) {
+						err = new NonErrorEmittedError(err);
+					}
+					const currentLoader = this.getCurrentLoader(loaderContext);
+					const error = new ModuleBuildError(this, err, {
+						from:
+							currentLoader &&
+							compilation.runtimeTemplate.requestShortener.shorten(
+								currentLoader.loader
+							)
+					});
+					return callback(error);
+				}
+
+				const resourceBuffer = result.resourceBuffer;//Buffer源代码
+				const source = result.result[0];//字符串源代码
+				let sourceMap = result.result.length >= 1 ? result.result[1] : null;//sourcemap文件
+				const extraInfo = result.result.length >= 2 ? result.result[2] : null;//额外信息
+
+				if (!Buffer.isBuffer(source) && typeof source !== "string") {
+					const currentLoader = this.getCurrentLoader(loaderContext, 0);
+					const err = new Error(
+						`Final loader (${
+						currentLoader
+							? compilation.runtimeTemplate.requestShortener.shorten(
+								currentLoader.loader
+							)
+							: "unknown"
+						}) didn't return a Buffer or String`
+					);
+					const error = new ModuleBuildError(this, err);
+					return callback(error);
+				}
+				//loader没有返回source map，但只在源文件后面追加了代码，这时前面的部分仍然可以映射回源文件
+				if (!sourceMap && this.useSourceMap && resourceBuffer && !this.binary) {
+					const original = asString(resourceBuffer);
+					const code = asString(source);
+					if (code !== original && code.startsWith(original)) {
+						sourceMap = new OriginalSource(original, this.resource).map();
+					}
+				}
+				//创建源文件
+				this._source = this.createSource(
+					this.binary ? asBuffer(source) : asString(source),
+					resourceBuffer,
+					sourceMap
+				);
+				this._loaderSourceMap = sourceMap;
+				this._ast =
+					typeof extraInfo === "object" &&
+						extraInfo !== null &&
+						extraInfo.webpackAST !== undefined
+						? extraInfo.webpackAST
+						: null;
+				return callback();
+			}
+		);
+	}
+
+	/**
+	 * 先从持久化缓存中取loader的处理结果，取不到或者已经失效时再执行loader，结果在解析之后由storeBuildResult写回缓存
+	 * @param {TODO} options webpack options
+	 * @param {Compilation} compilation the compilation
+	 * @param {TODO} resolver the resolver
+	 * @param {TODO} fs the input file system
+	 * @param {function(Error=, boolean=): void} callback callback, the second argument is undefined when the loaders ran, false when only their result was restored and true when the parse result was restored too
+	 * @returns {void}
+	 */
+	doCachedBuild(options, compilation, resolver, fs, callback) {
+		compilation.persistentCache.get(this, (err, data) => {
+			if (!err && data) {
+				return callback(null, this.restoreBuildResult(data));
+			}
+			this.doBuild(options, compilation, resolver, fs, callback);
+		});
+	}
+
+	/**
+	 * Writes the loader result and the parse result to the persistent cache
+	 * @param {Compilation} compilation the compilation
+	 * @param {function(): void} callback callback
+	 * @returns {void}
+	 */
+	storeBuildResult(compilation, callback) {
+		const data = this.serializeBuildResult();
+		if (!data) return callback();
+		compilation.persistentCache.set(this, data, () => callback());
+	}
+
+	/**
+	 * @returns {Object|undefined} the loader and parse result in a JSON compatible form, undefined when it must not be cached
+	 */
+	serializeBuildResult() {
+		// errors and warnings emitted by loaders or the parser would get lost, so rebuild these modules
+		if (!this.buildInfo.cacheable || this.lineToLine) return undefined;
+		if (this.errors.length > 0 || this.warnings.length > 0) return undefined;
+		const source = this._source.source();
+		let assets;
+		if (this.buildInfo.assets) {
+			assets = {};
+			for (const name of Object.keys(this.buildInfo.assets)) {
+				const asset = this.buildInfo.assets[name].sourceAndMap();
+				assets[name] = {
+					source: asBuffer(asset.source).toString("base64"),
+					map: asset.map
+				};
+			}
+		}
+		return {
+			source: Buffer.isBuffer(source) ? source.toString("base64") : source,
+			binary: Buffer.isBuffer(source),
+			sourceMap:
+				this._source instanceof SourceMapSource ? this._source.map() : null,
+			fileDependencies: Array.from(this.buildInfo.fileDependencies),
+			contextDependencies: Array.from(this.buildInfo.contextDependencies),
+			assets,
+			//依赖中有不能序列化的对象（比如插件自己的依赖类）时只缓存loader的结果，恢复后重新解析
+			parseResult: serializeParseResult(this),
+			buildHash: this._buildHash
+		};
+	}
+
+	/**
+	 * @param {Object} data a result of serializeBuildResult that is still valid
+	 * @returns {boolean} true when the parse result was restored too and the module must not be parsed again
+	 */
+	restoreBuildResult(data) {
+		const source = data.binary
+			? Buffer.from(data.source, "base64")
+			: data.source;
+		this._source = this.createSource(source, null, data.sourceMap);
+		this._loaderSourceMap = data.sourceMap;
+		this._ast = null;
+		this.buildInfo.cacheable = true;
+		this.buildInfo.fileDependencies = new Set(data.fileDependencies);
+		this.buildInfo.contextDependencies = new Set(data.contextDependencies);
+		if (data.assets) {
+			this.buildInfo.assets = Object.create(null);
+			for (const name of Object.keys(data.assets)) {
+				const asset = data.assets[name];
+				this.buildInfo.assets[name] = this.createSourceForAsset(
+					name,
+					Buffer.from(asset.source, "base64"),
+					asset.map
+				);
+			}
+		}
+		if (!data.parseResult) return false;
+		restoreParseResult(this, data.parseResult);
+		this._buildHash = data.buildHash;
+		return true;
+	}
+
+	markModuleAsErrored(error) {
+		// Restore build meta from successful build to keep importing state
+		this.buildMeta = Object.assign({}, this._lastSuccessfulBuildMeta);
+
+		this.error = error;
+		this.errors.push(this.error);
+		this._source = new RawSource(
+			"throw new Error(" + JSON.stringify(this.error.message) + ");"
+		);
+		this._ast = null;
+	}
+
+	applyNoParseRule(rule, content) {
+		// must start with "rule" if rule is a string
+		if (typeof rule === "string") {
+			return content.indexOf(rule) === 0;
+		}
+
+		if (typeof rule === "function") {
+			return rule(content);
+		}
+		// we assume rule is a regexp
+		return rule.test(content);
+	}
+
+	// check if module should not be parsed
+	// returns "true" if the module should !not! be parsed
+	// returns "false" if the module !must! be parsed
+	shouldPreventParsing(noParseRule, request) {
+		// if no noParseRule exists, return false
+		// the module !must! be parsed.
+		if (!noParseRule) {
+			return false;
+		}
+
+		// we only have one rule to check
+		if (!Array.isArray(noParseRule)) {
+			// returns "true" if the module is !not! to be parsed
+			return this.applyNoParseRule(noParseRule, request);
+		}
+
+		for (let i = 0; i < noParseRule.length; i++) {
+			const rule = noParseRule[i];
+			// early exit on first truthy match
+			// this module is !not! to be parsed
+			if (this.applyNoParseRule(rule, request)) {
+				return true;
+			}
+		}
+		// no match found, so this module !should! be parsed
+		return false;
+	}
+
+	_initBuildHash(compilation) {
+		const hash = createHash(compilation.outputOptions.hashFunction);
+		if (this._source) {
+			hash.update("source");
+			this._source.updateHash(hash);
+		}
+		hash.update("meta");
+		hash.update(JSON.stringify(this.buildMeta));
+		this._buildHash = hash.digest("hex");
+	}
+
+	build(options, compilation, resolver, fs, callback) {
+		this.buildTimestamp = Date.now();
+		this.built = true;
+		this._source = null;
+		this._ast = null;
+		this._buildHash = "";
+		this.error = null;
+		this.errors.length = 0;
+		this.warnings.length = 0;
+		this.buildMeta = {};
+		this.buildInfo = {
+			cacheable: false,
+			fileDependencies: new Set(),
+			contextDependencies: new Set()
+		};
+
+		//开启了持久化缓存时先尝试复用上一次进程的loader结果
+		//记录loader步骤时必须真正执行一遍loader
+		//虚拟模块的内容可能依赖文件以外的状态，不放到持久化缓存中
+		const doBuild =
+			compilation.persistentCache &&
+			!compilation.recordLoaderSteps &&
+			!this.virtualModule
+				? this.doCachedBuild
+				: this.doBuild;
+		const buildScheduler = compilation.buildScheduler;
+		const priority = buildScheduler.getPriority(this);
+		//执行loader和解析语法树分别受scheduler.loaders和scheduler.parse的限制
+		buildScheduler.acquire("loaders", priority, () => {
+			doBuild.call(this, options, compilation, resolver, fs, (err, parsed) => {
+				buildScheduler.release("loaders");
+				this._cachedSources.clear();
+
+				// if we have an error mark module as failed and exit
+				if (err) {
+					this.markModuleAsErrored(err);
+					this._initBuildHash(compilation);
+					return callback();
+				}
+
+				//持久化缓存中连同依赖一起恢复的模块不需要再解析
+				if (parsed) {
+					this._loaderSourceMap = null;
+					this._lastSuccessfulBuildMeta = this.buildMeta;
+					return callback();
+				}
+				//缓存中已经有loader的结果时不再写入，否则不能序列化依赖的模块每次都要重新写
+				const done = () => {
+					if (doBuild !== this.doCachedBuild || parsed === false) {
+						return callback();
+					}
+					this.storeBuildResult(compilation, callback);
+				};
+
+				// check if this module should !not! be parsed.
+				// if so, exit here;
+				const noParseRule = options.module && options.module.noParse;
+				if (this.shouldPreventParsing(noParseRule, this.request)) {
+					this._loaderSourceMap = null;
+					this._initBuildHash(compilation);
+					return done();
+				}
+
+				// callback里抛出的异常也会进入catch，parse的名额只能释放一次
+				let parsing = false;
+				const releaseParse = () => {
+					if (!parsing) return;
+					parsing = false;
+					buildScheduler.release("parse");
+				};
+
+				const handleParseError = e => {
+					releaseParse();
+					const source = this._source.source();
+					const requestShortener = compilation.runtimeTemplate.requestShortener;
+					const error = new ModuleParseError(this, source, e, {
+						loaders: this.loaders.map(loader =>
+							requestShortener.shorten(loader.loader)
+						),
+						sourceMap: this._loaderSourceMap
+					});
+					this._loaderSourceMap = null;
+					this.markModuleAsErrored(error);
+					this._initBuildHash(compilation);
+					return callback();
+				};
+
+				const handleParseResult = result => {
+					releaseParse();
+					this._loaderSourceMap = null;
+					this._lastSuccessfulBuildMeta = this.buildMeta;
+					this._initBuildHash(compilation);
+					return done();
+				};
+
+				buildScheduler.acquire("parse", priority, () => {
+					parsing = true;
+					try {
+						//生成抽象语法树并且解析依赖
+						const result = this.parser.parse(
+							this._ast || this._source.source(),
+							{
+								current: this,
+								module: this,
+								compilation: compilation,
+								options: options
+							},
+							(err, result) => {
+								if (err) {
+									handleParseError(err);
+								} else {
+									handleParseResult(result);
+								}
+							}
+						);
+						if (result !== undefined) {
+							// parse is sync
+							handleParseResult(result);
+						}
+					} catch (e) {
+						handleParseError(e);
+					}
+				});
+			});
+		});
+	}
+
+	getHashDigest(dependencyTemplates) {
+		// TODO webpack 5 refactor
+		let dtHash = dependencyTemplates.get("hash");
+		return `${this.hash}-${dtHash}`;
+	}
+
+	source(dependencyTemplates, runtimeTemplate, type = "javascript") {
+		const hashDigest = this.getHashDigest(dependencyTemplates);
+		const cacheEntry = this._cachedSources.get(type);
+		if (cacheEntry !== undefined && cacheEntry.hash === hashDigest) {
+			// We can reuse the cached source
+			return cacheEntry.source;
+		}
+
+		const source = this.generator.generate(
+			this,
+			dependencyTemplates,
+			runtimeTemplate,
+			type
+		);
+
+		const cachedSource = new CachedSource(source);
+		this._cachedSources.set(type, {
+			source: cachedSource,
+			hash: hashDigest
+		});
+		return cachedSource;
+	}
+
+	originalSource() {
+		return this._source;
+	}
+
+	needRebuild(fileTimestamps, contextTimestamps) {
+		// always try to rebuild in case of an error
+		if (this.error) return true;
+
+		// always rebuild when module is not cacheable
+		if (!this.buildInfo.cacheable) return true;
+
+		//虚拟模块重新注册时换了版本
+		if (
+			this.virtualModule &&
+			this.virtualModule.version !== this.buildInfo.virtualModuleVersion
+		) {
+			return true;
+		}
+
+		// Check timestamps of all dependencies
+		// Missing timestamp -> need rebuild
+		// Timestamp bigger than buildTimestamp -> need rebuild
+		//开启watchOptions.contentHash时，这里的时间戳是文件内容最后一次变化的时间
+		for (const file of this.buildInfo.fileDependencies) {
+			const timestamp = fileTimestamps.get(file);
+			if (!timestamp) return true;
+			if (timestamp >= this.buildTimestamp) return true;
+		}
+		for (const file of this.buildInfo.contextDependencies) {
+			const timestamp = contextTimestamps.get(file);
+			if (!timestamp) return true;
+			if (timestamp >= this.buildTimestamp) return true;
+		}
+		// elsewise -> no rebuild needed
+		return false;
+	}
+
+	size() {
+		return this._source ? this._source.size() : -1;
+	}
+
+	/**
+	 * @param {Hash} hash the hash used to track dependencies
+	 * @returns {void}
+	 */
+	updateHash(hash) {
+		hash.update(this._buildHash);
+		super.updateHash(hash);
+	}
+}
+
+module.exports = NormalModule;
@@ -0,0 +1,53 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+"use strict";
+
+const path = require("path");
+const RuntimeModule = require("./RuntimeModule");
+const Template = require("./Template");
+
+/** @typedef {import("./RuntimeModule").RuntimeModuleContext} RuntimeModuleContext */
+
+class PublicPathRuntimeModule extends RuntimeModule {
+	constructor() {
+		super("public path");
+	}
+
+	/**
+	 * @param {RuntimeModuleContext} context context
+	 * @returns {string} the code of the helper
+	 */
+	generate({ chunk, hash, mainTemplate }) {
+		const outputOptions = mainTemplate.outputOptions;
+		if (outputOptions.module && !outputOptions.publicPath) {
+			//ES模块根据自己的地址得到publicPath，入口文件在子目录中时要回到输出目录
+			const filename = chunk.filenameTemplate || outputOptions.filename;
+			const dir =
+				typeof filename === "string" ? path.posix.dirname(filename) : ".";
+			const root =
+				dir === "."
+					? "./"
+					: dir
+							.split("/")
+							.map(() => "../")
+							.join("");
+			return Template.asString([
+				"// __webpack_public_path__",
+				`${mainTemplate.requireFn}.p = new URL(${JSON.stringify(
+					root
+				)}, import.meta.url).href;`
+			]);
+		}
+		const publicPath = mainTemplate.getPublicPath({
+			hash: hash
+		});
+		return Template.asString([
+			"// __webpack_public_path__",
+			`${mainTemplate.requireFn}.p = ${JSON.stringify(publicPath)};`
+		]);
+	}
+}
+
+module.exports = PublicPathRuntimeModule;
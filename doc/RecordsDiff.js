@@ -0,0 +1,239 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+"use strict";
+
+/** @typedef {import("./RecordIdsPlugin").Records} Records */
+
+/**
+ * @typedef {Object} IdChange
+ * @property {"changed"|"renamed"|"added"|"removed"} type why the id changed
+ * @property {string} key module identifier or chunk name
+ * @property {string=} from the previous identifier of a renamed module
+ * @property {(number|string)=} oldId the id in the old records
+ * @property {(number|string)=} newId the id in the new records
+ * @property {string=} reusedFrom an added key got the id of this removed key
+ */
+
+/**
+ * @typedef {Object} RecordsDiff
+ * @property {IdChange[]} modules changes of module ids by identifier
+ * @property {IdChange[]} chunks changes of chunk ids by name
+ */
+
+/**
+ * @param {string} identifier a module identifier
+ * @returns {string} the file name of the resource, used to find renamed modules
+ */
+const resourceName = identifier => {
+	const resource = identifier.slice(identifier.lastIndexOf("!") + 1);
+	const withoutQuery = resource.replace(/\?.*$/, "");
+	return withoutQuery.slice(
+		Math.max(withoutQuery.lastIndexOf("/"), withoutQuery.lastIndexOf("\\")) + 1
+	);
+};
+
+/**
+ * @param {Object<string, number|string>} oldIds ids of the old records
+ * @param {Object<string, number|string>} newIds ids of the new records
+ * @param {boolean} detectRenames pair removed and added keys with the same file name
+ * @param {Map<string, string>=} renames keys renamed by a migration, old key to new key
+ * @returns {IdChange[]} the changes sorted by key
+ */
+const diffIds = (oldIds, newIds, detectRenames, renames) => {
+	const changes = [];
+	const removed = [];
+	const added = [];
+	for (const key of Object.keys(oldIds)) {
+		if (!(key in newIds)) {
+			removed.push(key);
+		} else if (oldIds[key] !== newIds[key]) {
+			changes.push({
+				type: "changed",
+				key,
+				oldId: oldIds[key],
+				newId: newIds[key]
+			});
+		}
+	}
+	for (const key of Object.keys(newIds)) {
+		if (!(key in oldIds)) added.push(key);
+	}
+
+	const addRename = (from, key) => {
+		removed.splice(removed.indexOf(from), 1);
+		added.splice(added.indexOf(key), 1);
+		changes.push({
+			type: "renamed",
+			key,
+			from,
+			oldId: oldIds[from],
+			newId: newIds[key]
+		});
+	};
+	if (renames) {
+		for (const from of removed.slice()) {
+			const key = renames.get(from);
+			if (key !== undefined && added.includes(key)) addRename(from, key);
+		}
+	}
+
+	// 只有文件名在删除和新增的模块中都唯一时才认为是移动了文件
+	if (detectRenames) {
+		const countNames = keys => {
+			const counts = new Map();
+			for (const key of keys) {
+				const name = resourceName(key);
+				counts.set(name, (counts.get(name) || 0) + 1);
+			}
+			return counts;
+		};
+		const removedNames = countNames(removed);
+		const addedNames = countNames(added);
+		for (const from of removed.slice()) {
+			const name = resourceName(from);
+			if (removedNames.get(name) !== 1 || addedNames.get(name) !== 1) continue;
+			addRename(from, added.find(key => resourceName(key) === name));
+		}
+	}
+
+	const removedById = new Map();
+	for (const key of removed) {
+		removedById.set(oldIds[key], key);
+		changes.push({ type: "removed", key, oldId: oldIds[key] });
+	}
+	for (const key of added) {
+		const change = { type: "added", key, newId: newIds[key] };
+		if (removedById.has(newIds[key])) {
+			change.reusedFrom = removedById.get(newIds[key]);
+		}
+		changes.push(change);
+	}
+	return changes.sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0));
+};
+
+/**
+ * Compares the module and chunk ids of two records
+ * @param {Records} oldRecords the previous records
+ * @param {Records} newRecords the current records
+ * @param {Map<string, string>=} renames module identifiers renamed by migrateRecords
+ * @returns {RecordsDiff} the changed ids
+ */
+exports.diffRecords = (oldRecords, newRecords, renames) => {
+	const get = (records, type, key) =>
+		(records && records[type] && records[type][key]) || {};
+	return {
+		modules: diffIds(
+			get(oldRecords, "modules", "byIdentifier"),
+			get(newRecords, "modules", "byIdentifier"),
+			true,
+			renames
+		),
+		chunks: diffIds(
+			get(oldRecords, "chunks", "byName"),
+			get(newRecords, "chunks", "byName"),
+			false
+		)
+	};
+};
+
+/**
+ * Only these changes make cached files of the previous build useless
+ * @param {IdChange} change a change
+ * @returns {boolean} true, when a module or chunk that existed before has a different id now
+ */
+exports.isBreakingChange = change =>
+	change.type === "changed" ||
+	(change.type === "renamed" && change.oldId !== change.newId) ||
+	change.reusedFrom !== undefined;
+
+/**
+ * @param {string} str a string
+ * @returns {string} the string escaped for a RegExp
+ */
+const quoteMeta = str => str.replace(/[-[\]\\/{}()*+?.^$|]/g, "\\$&");
+
+/**
+ * Renames paths in the keys of the records, so moved files keep their module ids
+ * and chunks created from them keep their chunk ids. The records are modified.
+ * @param {Records} records the records
+ * @param {Object<string, string>} moves old path to new path, files or directories as written in the records (e.g. src/old)
+ * @returns {Map<string, string>} renamed module identifiers, old identifier to new identifier
+ */
+exports.migrateRecords = (records, moves) => {
+	const replacements = Object.keys(moves).map(from => ({
+		// 路径只能在完整的路径片段处匹配，src/a.js不能匹配src/a.jsx
+		regExp: new RegExp(
+			`(^|[!| ])${quoteMeta(from.replace(/\/$/, ""))}(?=$|[/!? |])`,
+			"g"
+		),
+		to: moves[from].replace(/\/$/, "")
+	}));
+	const rename = key =>
+		replacements.reduce(
+			(key, { regExp, to }) => key.replace(regExp, (m, prefix) => prefix + to),
+			key
+		);
+	const migrate = (ids, renamed) => {
+		if (!ids) return;
+		for (const key of Object.keys(ids)) {
+			const newKey = rename(key);
+			if (newKey === key) continue;
+			// 新路径已经有记录时保留已有的id
+			if (!(newKey in ids)) ids[newKey] = ids[key];
+			delete ids[key];
+			if (renamed) renamed.set(key, newKey);
+		}
+	};
+	const renamed = new Map();
+	if (records.modules) migrate(records.modules.byIdentifier, renamed);
+	if (records.chunks) migrate(records.chunks.bySource, null);
+	return renamed;
+};
+
+/**
+ * @param {RecordsDiff} diff the changed ids
+ * @param {boolean=} verbose list added and removed entries too
+ * @returns {string[]} lines describing the changes
+ */
+exports.formatRecordsDiff = (diff, verbose) => {
+	const lines = [];
+	const format = (kind, changes) => {
+		for (const change of changes) {
+			const breaking = exports.isBreakingChange(change);
+			if (!breaking && !verbose) continue;
+			switch (change.type) {
+				case "changed":
+					lines.push(
+						`${kind} ${change.key}: id ${change.oldId} -> ${change.newId}`
+					);
+					break;
+				case "renamed":
+					lines.push(
+						`${kind} ${change.from} -> ${change.key}: ${
+							change.oldId === change.newId
+								? `kept id ${change.newId}`
+								: `id ${change.oldId} -> ${change.newId}`
+						} (renamed)`
+					);
+					break;
+				case "added":
+					lines.push(
+						`${kind} ${change.key}: added with id ${change.newId}${
+							change.reusedFrom !== undefined
+								? ` (was the id of removed ${change.reusedFrom})`
+								: ""
+						}`
+					);
+					break;
+				case "removed":
+					lines.push(`${kind} ${change.key}: removed, had id ${change.oldId}`);
+					break;
+			}
+		}
+	};
+	format("module", diff.modules);
+	format("chunk", diff.chunks);
+	return lines;
+};
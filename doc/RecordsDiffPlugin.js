@@ -0,0 +1,139 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+"use strict";
+
+const path = require("path");
+const identifierUtils = require("./util/identifier");
+const { diffRecords, migrateRecords } = require("./RecordsDiff");
+
+/** @typedef {import("./Compiler")} Compiler */
+/** @typedef {import("./Module")} Module */
+/** @typedef {import("./RecordIdsPlugin").Records} Records */
+
+/**
+ * @typedef {Object} RecordsDiffPluginOptions
+ * @property {boolean=} portableIds true, when the records contain paths relative to the context
+ * @property {Object<string, string>=} moved moved files or directories, old path to new path relative to the context
+ * @property {boolean=} migrateRenamed give a module the id of a removed module with the same file name
+ */
+
+const pluginName = "RecordsDiffPlugin";
+
+/**
+ * @param {string} identifier a module identifier
+ * @returns {string} the resource of the module without loaders and query
+ */
+const resourceOf = identifier =>
+	identifier.slice(identifier.lastIndexOf("!") + 1).replace(/\?.*$/, "");
+
+class RecordsDiffPlugin {
+	/**
+	 * @param {RecordsDiffPluginOptions=} options options
+	 */
+	constructor(options) {
+		this.options = options || {};
+	}
+
+	/**
+	 * @param {Compiler} compiler the compiler instance
+	 * @returns {void}
+	 */
+	apply(compiler) {
+		const options = this.options;
+		/**
+		 * @param {string} request a path relative to the context
+		 * @returns {string} the path written like in the records
+		 */
+		const toRecordsPath = request => {
+			const absolutePath = path.resolve(compiler.context, request);
+			return options.portableIds
+				? identifierUtils.makePathsRelative(compiler.context, absolutePath)
+				: absolutePath;
+		};
+		const moved = {};
+		if (options.moved) {
+			for (const from of Object.keys(options.moved)) {
+				moved[toRecordsPath(from)] = toRecordsPath(options.moved[from]);
+			}
+		}
+		compiler.hooks.thisCompilation.tap(pluginName, compilation => {
+			/**
+			 * @param {Module} module a module
+			 * @returns {string} the identifier used as key in the records
+			 */
+			const getModuleIdentifier = module =>
+				options.portableIds
+					? identifierUtils.makePathsRelative(
+							compiler.context,
+							module.identifier(),
+							compilation.cache
+					  )
+					: module.identifier();
+
+			/** @type {Records} */
+			let oldRecords;
+			/** @type {Map<string, string>} */
+			let renames;
+			//要在RecordIdsPlugin按照记录恢复id之前保存旧的记录并且迁移移动过的文件
+			compilation.hooks.reviveModules.tap(
+				{ name: pluginName, before: "RecordIdsPlugin" },
+				(modules, records) => {
+					oldRecords = {
+						modules: {
+							byIdentifier: Object.assign(
+								{},
+								records.modules && records.modules.byIdentifier
+							)
+						},
+						chunks: {
+							byName: Object.assign({}, records.chunks && records.chunks.byName)
+						}
+					};
+					if (!records.modules || !records.modules.byIdentifier) return;
+					const moves = Object.assign({}, moved);
+					if (options.migrateRenamed) {
+						const current = {};
+						for (const module of modules) {
+							current[getModuleIdentifier(module)] = null;
+						}
+						const diff = diffRecords(records, {
+							modules: { byIdentifier: current }
+						});
+						for (const change of diff.modules) {
+							if (change.type !== "renamed") continue;
+							const from = resourceOf(change.from);
+							const to = resourceOf(change.key);
+							if (!(from in moves)) moves[from] = to;
+						}
+					}
+					if (Object.keys(moves).length > 0) {
+						renames = migrateRecords(records, moves);
+					}
+				}
+			);
+			//id已经全部分配完成，和旧的记录比较
+			compilation.hooks.afterOptimizeChunkIds.tap(pluginName, chunks => {
+				if (!oldRecords) return;
+				const newRecords = {
+					modules: { byIdentifier: {} },
+					chunks: { byName: {} }
+				};
+				// 和RecordIdsPlugin一样只有数字id才会写入记录
+				for (const module of compilation.modules) {
+					if (typeof module.id !== "number") continue;
+					newRecords.modules.byIdentifier[getModuleIdentifier(module)] =
+						module.id;
+				}
+				for (const chunk of chunks) {
+					if (typeof chunk.id !== "number" || !chunk.name) continue;
+					newRecords.chunks.byName[chunk.name] = chunk.id;
+				}
+				compilation.recordsDiff = diffRecords(oldRecords, newRecords, renames);
+			});
+		});
+	}
+}
+
+module.exports = RecordsDiffPlugin;
@@ -0,0 +1,766 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+/*
+<rules>: <rule>
+<rules>: [<rule>]
+<rule>: {
+	resource: {
+		test: <condition>,
+		include: <condition>,
+		exclude: <condition>,
+	},
+	resource: <condition>, -> resource.test
+	test: <condition>, -> resource.test
+	include: <condition>, -> resource.include
+	exclude: <condition>, -> resource.exclude
+	resourceQuery: <condition>,
+	compiler: <condition>,
+	issuer: <condition>,
+	descriptionData: {
+		<field>: <condition>
+	},
+	mimetype: <condition>,
+	scheme: <condition>,
+	use: "loader", -> use[0].loader
+	loader: <>, -> use[0].loader
+	loaders: <>, -> use
+	options: {}, -> use[0].options,
+	query: {}, -> options
+	parser: {},
+	use: [
+		"loader" -> use[x].loader
+	],
+	use: [
+		{
+			loader: "loader",
+			options: {}
+		}
+	],
+	rules: [
+		<rule>
+	],
+	oneOf: [
+		<rule>
+	]
+}
+
+<condition>: /regExp/
+<condition>: function(arg) {}
+<condition>: "starting"
+<condition>: [<condition>] // or
+<condition>: { and: [<condition>] }
+<condition>: { or: [<condition>] }
+<condition>: { not: [<condition>] }
+<condition>: { test: <condition>, include: <condition>, exclude: <condition> }
+
+
+normalized:
+
+{
+	resource: function(),
+	resourceQuery: function(),
+	compiler: function(),
+	issuer: function(),
+	descriptionData: function(),
+	mimetype: function(),
+	scheme: function(),
+	use: [
+		{
+			loader: string,
+			options: string,
+			<any>: <any>
+		}
+	],
+	rules: [<rule>],
+	oneOf: [<rule>],
+	<any>: <any>,
+}
+
+*/
+
+"use strict";
+
+/**
+ * @typedef {Object} RuleInfo
+ * @property {string} ident path of the rule in the rule set, e.g. ref--0-rules-1
+ * @property {Object<string, any>} conditions the conditions as written in the configuration
+ */
+
+/**
+ * @typedef {Object} ConditionExplanation
+ * @property {string} name resource, realResource, issuer, resourceQuery, compiler, descriptionData, mimetype or scheme
+ * @property {string} condition the condition as text
+ * @property {any=} value the value of the request which was tested, for descriptionData only the tested fields
+ * @property {boolean} result true, when the condition passed
+ */
+
+/**
+ * @typedef {Object} RuleExplanation
+ * @property {string} rule path of the rule, e.g. ref--0-oneOf-1
+ * @property {boolean} matched true, when all conditions of the rule passed
+ * @property {boolean=} skipped true, when an earlier rule of the same oneOf matched
+ * @property {ConditionExplanation[]} conditions the evaluated conditions, the first failed condition is the last
+ * @property {Object[]} effects the effects of the rule itself, without the effects of nested rules
+ */
+
+//规则中的条件在测试时的顺序
+const CONDITIONS = [
+	"resource",
+	"realResource",
+	"issuer",
+	"resourceQuery",
+	"compiler",
+	"descriptionData",
+	"mimetype",
+	"scheme"
+];
+
+//规则的路径和原始的条件，规范化之后的条件只是函数，explain的时候从这里找
+/** @type {WeakMap<Object, RuleInfo>} */
+const ruleInfos = new WeakMap();
+
+/**
+ * @param {any} condition a condition as written in the configuration
+ * @returns {string} the condition as text
+ */
+const conditionToString = condition => {
+	if (typeof condition === "string") return JSON.stringify(condition);
+	if (typeof condition === "function") {
+		return condition.name ? `function ${condition.name}` : "function";
+	}
+	if (condition instanceof RegExp) return condition.toString();
+	if (Array.isArray(condition)) {
+		return `[${condition.map(conditionToString).join(", ")}]`;
+	}
+	if (condition && typeof condition === "object") {
+		const properties = Object.keys(condition)
+			.filter(key => condition[key] !== undefined)
+			.map(key => `${key}: ${conditionToString(condition[key])}`);
+		return `{ ${properties.join(", ")} }`;
+	}
+	return String(condition);
+};
+
+const notMatcher = matcher => {
+	return str => {
+		return !matcher(str);
+	};
+};
+
+const orMatcher = items => {
+	return str => {
+		for (let i = 0; i < items.length; i++) {
+			if (items[i](str)) return true;
+		}
+		return false;
+	};
+};
+
+const andMatcher = items => {
+	return str => {
+		for (let i = 0; i < items.length; i++) {
+			if (!items[i](str)) return false;
+		}
+		return true;
+	};
+};
+
+module.exports = class RuleSet {
+	constructor(rules) {
+		this.references = Object.create(null);
+		this.rules = RuleSet.normalizeRules(rules, this.references, "ref-");
+	}
+
+	static normalizeRules(rules, refs, ident) {
+		if (Array.isArray(rules)) {
+			return rules.map((rule, idx) => {
+				return RuleSet.normalizeRule(rule, refs, `${ident}-${idx}`);
+			});
+		} else if (rules) {
+			return [RuleSet.normalizeRule(rules, refs, ident)];
+		} else {
+			return [];
+		}
+	}
+
+	static normalizeRule(rule, refs, ident) {
+		if (typeof rule === "string") {
+			const newRule = {
+				use: [
+					{
+						loader: rule
+					}
+				]
+			};
+			ruleInfos.set(newRule, { ident, conditions: {} });
+			return newRule;
+		}
+		if (!rule) {
+			throw new Error("Unexcepted null when object was expected as rule");
+		}
+		if (typeof rule !== "object") {
+			throw new Error(
+				"Unexcepted " +
+					typeof rule +
+					" when object was expected as rule (" +
+					rule +
+					")"
+			);
+		}
+
+		const newRule = {};
+		const conditions = {};
+		let useSource;
+		let resourceSource;
+		let condition;
+
+		const checkUseSource = newSource => {
+			if (useSource && useSource !== newSource) {
+				throw new Error(
+					RuleSet.buildErrorMessage(
+						rule,
+						new Error(
+							"Rule can only have one result source (provided " +
+								newSource +
+								" and " +
+								useSource +
+								")"
+						)
+					)
+				);
+			}
+			useSource = newSource;
+		};
+
+		const checkResourceSource = newSource => {
+			if (resourceSource && resourceSource !== newSource) {
+				throw new Error(
+					RuleSet.buildErrorMessage(
+						rule,
+						new Error(
+							"Rule can only have one resource source (provided " +
+								newSource +
+								" and " +
+								resourceSource +
+								")"
+						)
+					)
+				);
+			}
+			resourceSource = newSource;
+		};
+
+		if (rule.test || rule.include || rule.exclude) {
+			checkResourceSource("test + include + exclude");
+			condition = {
+				test: rule.test,
+				include: rule.include,
+				exclude: rule.exclude
+			};
+			try {
+				newRule.resource = RuleSet.normalizeCondition(condition);
+			} catch (error) {
+				throw new Error(RuleSet.buildErrorMessage(condition, error));
+			}
+			conditions.resource = condition;
+		}
+
+		if (rule.resource) {
+			checkResourceSource("resource");
+			try {
+				newRule.resource = RuleSet.normalizeCondition(rule.resource);
+			} catch (error) {
+				throw new Error(RuleSet.buildErrorMessage(rule.resource, error));
+			}
+			conditions.resource = rule.resource;
+		}
+
+		if (rule.realResource) {
+			try {
+				newRule.realResource = RuleSet.normalizeCondition(rule.realResource);
+			} catch (error) {
+				throw new Error(RuleSet.buildErrorMessage(rule.realResource, error));
+			}
+			conditions.realResource = rule.realResource;
+		}
+
+		if (rule.resourceQuery) {
+			try {
+				newRule.resourceQuery = RuleSet.normalizeCondition(rule.resourceQuery);
+			} catch (error) {
+				throw new Error(RuleSet.buildErrorMessage(rule.resourceQuery, error));
+			}
+			conditions.resourceQuery = rule.resourceQuery;
+		}
+
+		if (rule.compiler) {
+			try {
+				newRule.compiler = RuleSet.normalizeCondition(rule.compiler);
+			} catch (error) {
+				throw new Error(RuleSet.buildErrorMessage(rule.compiler, error));
+			}
+			conditions.compiler = rule.compiler;
+		}
+
+		if (rule.issuer) {
+			try {
+				newRule.issuer = RuleSet.normalizeCondition(rule.issuer);
+			} catch (error) {
+				throw new Error(RuleSet.buildErrorMessage(rule.issuer, error));
+			}
+			conditions.issuer = rule.issuer;
+		}
+
+		if (rule.descriptionData) {
+			try {
+				newRule.descriptionData = RuleSet.normalizeDescriptionDataCondition(
+					rule.descriptionData
+				);
+			} catch (error) {
+				throw new Error(RuleSet.buildErrorMessage(rule.descriptionData, error));
+			}
+			conditions.descriptionData = rule.descriptionData;
+		}
+
+		if (rule.mimetype) {
+			try {
+				newRule.mimetype = RuleSet.normalizeCondition(rule.mimetype);
+			} catch (error) {
+				throw new Error(RuleSet.buildErrorMessage(rule.mimetype, error));
+			}
+			conditions.mimetype = rule.mimetype;
+		}
+
+		if (rule.scheme) {
+			try {
+				newRule.scheme = RuleSet.normalizeCondition(rule.scheme);
+			} catch (error) {
+				throw new Error(RuleSet.buildErrorMessage(rule.scheme, error));
+			}
+			conditions.scheme = rule.scheme;
+		}
+
+		if (rule.loader && rule.loaders) {
+			throw new Error(
+				RuleSet.buildErrorMessage(
+					rule,
+					new Error(
+						"Provided loader and loaders for rule (use only one of them)"
+					)
+				)
+			);
+		}
+
+		const loader = rule.loaders || rule.loader;
+		if (typeof loader === "string" && !rule.options && !rule.query) {
+			checkUseSource("loader");
+			newRule.use = RuleSet.normalizeUse(loader.split("!"), ident);
+		} else if (typeof loader === "string" && (rule.options || rule.query)) {
+			checkUseSource("loader + options/query");
+			newRule.use = RuleSet.normalizeUse(
+				{
+					loader: loader,
+					options: rule.options,
+					query: rule.query
+				},
+				ident
+			);
+		} else if (loader && (rule.options || rule.query)) {
+			throw new Error(
+				RuleSet.buildErrorMessage(
+					rule,
+					new Error(
+						"options/query cannot be used with loaders (use options for each array item)"
+					)
+				)
+			);
+		} else if (loader) {
+			checkUseSource("loaders");
+			newRule.use = RuleSet.normalizeUse(loader, ident);
+		} else if (rule.options || rule.query) {
+			throw new Error(
+				RuleSet.buildErrorMessage(
+					rule,
+					new Error(
+						"options/query provided without loader (use loader + options)"
+					)
+				)
+			);
+		}
+
+		if (rule.use) {
+			checkUseSource("use");
+			newRule.use = RuleSet.normalizeUse(rule.use, ident);
+		}
+
+		if (rule.rules) {
+			newRule.rules = RuleSet.normalizeRules(
+				rule.rules,
+				refs,
+				`${ident}-rules`
+			);
+		}
+
+		if (rule.oneOf) {
+			newRule.oneOf = RuleSet.normalizeRules(
+				rule.oneOf,
+				refs,
+				`${ident}-oneOf`
+			);
+		}
+
+		const keys = Object.keys(rule).filter(key => {
+			return ![
+				"resource",
+				"resourceQuery",
+				"compiler",
+				"test",
+				"include",
+				"exclude",
+				"issuer",
+				"descriptionData",
+				"mimetype",
+				"scheme",
+				"loader",
+				"options",
+				"query",
+				"loaders",
+				"use",
+				"rules",
+				"oneOf"
+			].includes(key);
+		});
+		for (const key of keys) {
+			newRule[key] = rule[key];
+		}
+
+		if (Array.isArray(newRule.use)) {
+			for (const item of newRule.use) {
+				if (item.ident) {
+					refs[item.ident] = item.options;
+				}
+			}
+		}
+
+		ruleInfos.set(newRule, { ident, conditions });
+		return newRule;
+	}
+
+	static buildErrorMessage(condition, error) {
+		const conditionAsText = JSON.stringify(
+			condition,
+			(key, value) => {
+				return value === undefined ? "undefined" : value;
+			},
+			2
+		);
+		return error.message + " in " + conditionAsText;
+	}
+
+	static normalizeUse(use, ident) {
+		if (typeof use === "function") {
+			return data => RuleSet.normalizeUse(use(data), ident);
+		}
+		if (Array.isArray(use)) {
+			return use
+				.map((item, idx) => RuleSet.normalizeUse(item, `${ident}-${idx}`))
+				.reduce((arr, items) => arr.concat(items), []);
+		}
+		return [RuleSet.normalizeUseItem(use, ident)];
+	}
+
+	static normalizeUseItemString(useItemString) {
+		const idx = useItemString.indexOf("?");
+		if (idx >= 0) {
+			return {
+				loader: useItemString.substr(0, idx),
+				options: useItemString.substr(idx + 1)
+			};
+		}
+		return {
+			loader: useItemString,
+			options: undefined
+		};
+	}
+
+	static normalizeUseItem(item, ident) {
+		if (typeof item === "string") {
+			return RuleSet.normalizeUseItemString(item);
+		}
+
+		const newItem = {};
+
+		if (item.options && item.query) {
+			throw new Error("Provided options and query in use");
+		}
+
+		if (!item.loader) {
+			throw new Error("No loader specified");
+		}
+
+		newItem.options = item.options || item.query;
+
+		if (typeof newItem.options === "object" && newItem.options) {
+			if (newItem.options.ident) {
+				newItem.ident = newItem.options.ident;
+			} else {
+				newItem.ident = ident;
+			}
+		}
+
+		const keys = Object.keys(item).filter(function(key) {
+			return !["options", "query"].includes(key);
+		});
+
+		for (const key of keys) {
+			newItem[key] = item[key];
+		}
+
+		return newItem;
+	}
+
+	/**
+	 * @param {Object} condition fields of the description file and their conditions, e.g. { type: "module" }
+	 * @returns {function(Object): boolean} matcher for the content of the description file
+	 */
+	static normalizeDescriptionDataCondition(condition) {
+		if (typeof condition !== "object" || Array.isArray(condition)) {
+			throw new Error(
+				"Expected an object with conditions for the fields of the description file"
+			);
+		}
+		const matchers = Object.keys(condition).map(field => {
+			const matcher = RuleSet.normalizeCondition(condition[field]);
+			return descriptionData => {
+				const value = descriptionData[field];
+				if (value === undefined) return false;
+				//不是字符串的值(比如"private": true)转成JSON之后再比较
+				return matcher(
+					typeof value === "string" ? value : JSON.stringify(value)
+				);
+			};
+		});
+		return andMatcher(matchers);
+	}
+
+	static normalizeCondition(condition) {
+		if (!condition) throw new Error("Expected condition but got falsy value");
+		if (typeof condition === "string") {
+			return str => str.indexOf(condition) === 0;
+		}
+		if (typeof condition === "function") {
+			return condition;
+		}
+		if (condition instanceof RegExp) {
+			return condition.test.bind(condition);
+		}
+		if (Array.isArray(condition)) {
+			const items = condition.map(c => RuleSet.normalizeCondition(c));
+			return orMatcher(items);
+		}
+		if (typeof condition !== "object") {
+			throw Error(
+				"Unexcepted " +
+					typeof condition +
+					" when condition was expected (" +
+					condition +
+					")"
+			);
+		}
+
+		const matchers = [];
+		Object.keys(condition).forEach(key => {
+			const value = condition[key];
+			switch (key) {
+				case "or":
+				case "include":
+				case "test":
+					if (value) matchers.push(RuleSet.normalizeCondition(value));
+					break;
+				case "and":
+					if (value) {
+						const items = value.map(c => RuleSet.normalizeCondition(c));
+						matchers.push(andMatcher(items));
+					}
+					break;
+				case "not":
+				case "exclude":
+					if (value) {
+						const matcher = RuleSet.normalizeCondition(value);
+						matchers.push(notMatcher(matcher));
+					}
+					break;
+				default:
+					throw new Error("Unexcepted property " + key + " in condition");
+			}
+		});
+		if (matchers.length === 0) {
+			throw new Error("Excepted condition but got " + condition);
+		}
+		if (matchers.length === 1) {
+			return matchers[0];
+		}
+		return andMatcher(matchers);
+	}
+
+	exec(data) {
+		const result = [];
+		this._run(
+			data,
+			{
+				rules: this.rules
+			},
+			result
+		);
+		return result;
+	}
+
+	/**
+	 * Like exec, but records for every rule which conditions were tested with which values
+	 * @param {Object} data the request, like the argument of exec
+	 * @returns {{result: Object[], trace: RuleExplanation[]}} the effects and the explanation of every rule
+	 */
+	explain(data) {
+		const result = [];
+		const trace = [];
+		this._run(
+			data,
+			{
+				rules: this.rules
+			},
+			result,
+			trace
+		);
+		return { result, trace };
+	}
+
+	_run(data, rule, result, trace) {
+		const info = trace && ruleInfos.get(rule);
+		/** @type {RuleExplanation} */
+		const explanation = info && {
+			rule: info.ident,
+			matched: false,
+			conditions: [],
+			effects: []
+		};
+		if (explanation) trace.push(explanation);
+		const explainCondition = (name, passed) => {
+			if (!explanation) return;
+			let value = data[name];
+			//描述文件的内容太多，只记录测试过的字段
+			if (name === "descriptionData" && value) {
+				const fields = {};
+				for (const field of Object.keys(info.conditions.descriptionData)) {
+					fields[field] = value[field];
+				}
+				value = fields;
+			}
+			explanation.conditions.push({
+				name,
+				condition: conditionToString(info.conditions[name]),
+				value,
+				result: passed
+			});
+		};
+
+		// test conditions
+		for (const name of CONDITIONS) {
+			if (rule[name] && !data[name]) {
+				explainCondition(name, false);
+				return false;
+			}
+		}
+		for (const name of CONDITIONS) {
+			if (rule[name]) {
+				const passed = !!rule[name](data[name]);
+				explainCondition(name, passed);
+				if (!passed) return false;
+			}
+		}
+		if (explanation) explanation.matched = true;
+		const firstEffect = result.length;
+
+		// apply
+		const keys = Object.keys(rule).filter(key => {
+			return ![
+				"resource",
+				"realResource",
+				"resourceQuery",
+				"compiler",
+				"issuer",
+				"descriptionData",
+				"mimetype",
+				"scheme",
+				"rules",
+				"oneOf",
+				"use",
+				"enforce"
+			].includes(key);
+		});
+		for (const key of keys) {
+			result.push({
+				type: key,
+				value: rule[key]
+			});
+		}
+
+		if (rule.use) {
+			const process = use => {
+				if (typeof use === "function") {
+					process(use(data));
+				} else if (Array.isArray(use)) {
+					use.forEach(process);
+				} else {
+					result.push({
+						type: "use",
+						value: use,
+						enforce: rule.enforce
+					});
+				}
+			};
+			process(rule.use);
+		}
+
+		if (explanation) explanation.effects = result.slice(firstEffect);
+
+		if (rule.rules) {
+			for (let i = 0; i < rule.rules.length; i++) {
+				this._run(data, rule.rules[i], result, trace);
+			}
+		}
+
+		if (rule.oneOf) {
+			for (let i = 0; i < rule.oneOf.length; i++) {
+				if (this._run(data, rule.oneOf[i], result, trace)) {
+					//oneOf只使用第一个匹配的规则，后面的规则不再测试
+					if (trace) {
+						for (const skippedRule of rule.oneOf.slice(i + 1)) {
+							const skippedInfo = ruleInfos.get(skippedRule);
+							if (!skippedInfo) continue;
+							trace.push({
+								rule: skippedInfo.ident,
+								matched: false,
+								skipped: true,
+								conditions: [],
+								effects: []
+							});
+						}
+					}
+					break;
+				}
+			}
+		}
+
+		return true;
+	}
+
+	findOptionsByIdent(ident) {
+		const options = this.references[ident];
+		if (!options) {
+			throw new Error("Can't find options with ident '" + ident + "'");
+		}
+		return options;
+	}
+};
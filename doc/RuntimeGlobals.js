@@ -0,0 +1,43 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+"use strict";
+
+//运行时的辅助函数，模块和运行时代码通过这些名字声明自己需要哪些辅助函数
+
+/** the modules object (__webpack_modules__) */
+exports.moduleFactories = "__webpack_require__.m";
+
+/** the module cache */
+exports.moduleCache = "__webpack_require__.c";
+
+/** the chunk ensure function, loads the chunks of an import() */
+exports.ensureChunk = "__webpack_require__.e";
+
+/** define getter functions for harmony exports */
+exports.definePropertyGetters = "__webpack_require__.d";
+
+/** define __esModule on exports */
+exports.makeNamespaceObject = "__webpack_require__.r";
+
+/** create a fake namespace object */
+exports.createFakeNamespaceObject = "__webpack_require__.t";
+
+/** compatibility get default export of non-harmony modules */
+exports.compatGetDefaultExport = "__webpack_require__.n";
+
+/** Object.prototype.hasOwnProperty.call */
+exports.hasOwnProperty = "__webpack_require__.o";
+
+/** the bundle public path */
+exports.publicPath = "__webpack_require__.p";
+
+/** the webpack hash */
+exports.getFullHash = "__webpack_require__.h";
+
+/** the module id of the entry point */
+exports.entryModuleId = "__webpack_require__.s";
+
+/** the module.hot api and the download of hot updates */
+exports.hotModuleReplacement = "module.hot";
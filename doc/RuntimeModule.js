@@ -0,0 +1,40 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+"use strict";
+
+/** @typedef {import("./Chunk")} Chunk */
+/** @typedef {import("./MainTemplate")} MainTemplate */
+
+/**
+ * @typedef {Object} RuntimeModuleContext
+ * @property {Chunk} chunk the chunk with the runtime
+ * @property {string} hash hash to be used for render call
+ * @property {MainTemplate} mainTemplate the main template
+ */
+
+/**
+ * A helper of the runtime, e.g. the public path or the chunk loading.
+ * It is only added to the bootstrap when a module or another helper requires it.
+ */
+class RuntimeModule {
+	/**
+	 * @param {string} name name of the helper, the source is webpack/runtime/<name> in source maps
+	 * @param {string[]=} requirements the runtime globals used by the generated code
+	 */
+	constructor(name, requirements) {
+		this.name = name;
+		this.requirements = requirements || [];
+	}
+
+	/**
+	 * @param {RuntimeModuleContext} context context
+	 * @returns {string} the code of the helper
+	 */
+	generate(context) {
+		throw new Error("RuntimeModule.generate: Must be overridden");
+	}
+}
+
+module.exports = RuntimeModule;
@@ -0,0 +1,170 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+"use strict";
+
+const path = require("path");
+const { decodeSegment } = require("./originalPositionFor");
+const SourceMapValidationWarning = require("./SourceMapValidationWarning");
+
+/** @typedef {import("./Compiler")} Compiler */
+
+const pluginName = "SourceMapValidationPlugin";
+
+//资源末尾的//# sourceMappingURL=...或者/*# sourceMappingURL=... */注释
+const SOURCE_MAPPING_URL_REGEXP = /(?:\/\/|\/\*)[#@] sourceMappingURL=([^\s'"*]+)\s*(?:\*\/)?\s*$/;
+
+/**
+ * @param {string} file the asset
+ * @param {string} code the content of the asset
+ * @param {Object<string, TODO>} assets all assets of the compilation
+ * @returns {{name: string, content: string}|undefined} the source map of the asset
+ */
+const findSourceMap = (file, code, assets) => {
+	const match = SOURCE_MAPPING_URL_REGEXP.exec(code);
+	if (match && match[1].startsWith("data:")) {
+		const data = match[1];
+		const comma = data.indexOf(",");
+		return {
+			name: "inline",
+			content: /;base64$/.test(data.slice(0, comma))
+				? Buffer.from(data.slice(comma + 1), "base64").toString("utf-8")
+				: decodeURIComponent(data.slice(comma + 1))
+		};
+	}
+	//url可能包含publicPath，这时找不到对应的资源，再按hidden-source-map的文件名查找
+	const names = [`${file}.map`];
+	if (match && !/^[a-z][a-z0-9+.-]*:|^\//i.test(match[1])) {
+		names.unshift(
+			path.posix.join(path.posix.dirname(file), match[1].replace(/[?#].*$/, ""))
+		);
+	}
+	for (const name of names) {
+		if (assets[name]) {
+			return { name, content: assets[name].source().toString() };
+		}
+	}
+	return undefined;
+};
+
+/**
+ * @param {string} code the content of the asset
+ * @param {string} content the source map
+ * @returns {string[]} the broken mappings, generated positions are line:column with the line starting at 1
+ */
+const validateSourceMap = (code, content) => {
+	let map;
+	try {
+		map = JSON.parse(content);
+	} catch (e) {
+		return [`The source map is not valid JSON: ${e.message}`];
+	}
+	if (!map || typeof map.mappings !== "string" || !Array.isArray(map.sources)) {
+		return ["The source map has no mappings or sources"];
+	}
+	const problems = [];
+	const codeLines = code.split("\n");
+	const sourceLines = (map.sourcesContent || []).map(
+		content => (typeof content === "string" ? content.split("\n") : undefined)
+	);
+	const names = map.names || [];
+	//除了生成代码的列，其他字段都是相对于上一个片段的
+	let sourceIndex = 0;
+	let originalLine = 0;
+	let originalColumn = 0;
+	let nameIndex = 0;
+	map.mappings.split(";").forEach((line, i) => {
+		let generatedColumn = 0;
+		for (const segment of line.split(",")) {
+			if (!segment) continue;
+			const fields = decodeSegment(segment);
+			if (fields.length !== 1 && fields.length !== 4 && fields.length !== 5) {
+				problems.push(`${i + 1}: Invalid segment '${segment}'`);
+				continue;
+			}
+			generatedColumn += fields[0];
+			const generated = `${i + 1}:${generatedColumn}`;
+			if (i >= codeLines.length) {
+				problems.push(
+					`${generated}: The asset has only ${codeLines.length} line(s)`
+				);
+			} else if (generatedColumn < 0 || generatedColumn > codeLines[i].length) {
+				problems.push(
+					`${generated}: The line of the asset has only ${
+						codeLines[i].length
+					} column(s)`
+				);
+			}
+			if (fields.length === 1) continue;
+			sourceIndex += fields[1];
+			originalLine += fields[2];
+			originalColumn += fields[3];
+			if (fields.length === 5) {
+				nameIndex += fields[4];
+				if (nameIndex < 0 || nameIndex >= names.length) {
+					problems.push(`${generated}: Name ${nameIndex} does not exist`);
+				}
+			}
+			const source = map.sources[sourceIndex];
+			if (source === undefined) {
+				problems.push(`${generated}: Source ${sourceIndex} does not exist`);
+				continue;
+			}
+			const original = `${source}:${originalLine + 1}:${originalColumn}`;
+			const lines = sourceLines[sourceIndex];
+			if (originalLine < 0 || originalColumn < 0) {
+				problems.push(`${generated} -> ${original}: Negative position`);
+				continue;
+			}
+			//没有sourcesContent时无法检查原始位置
+			if (!lines) continue;
+			if (originalLine >= lines.length) {
+				problems.push(
+					`${generated} -> ${original}: The source has only ${
+						lines.length
+					} line(s)`
+				);
+			} else if (originalColumn > lines[originalLine].length) {
+				problems.push(
+					`${generated} -> ${original}: The line of the source has only ${
+						lines[originalLine].length
+					} column(s)`
+				);
+			}
+		}
+	});
+	return problems;
+};
+
+/**
+ * Checks the source maps of the emitted assets, the external ones, the inline ones and the ones of hidden-source-map.
+ * Module source maps inside of eval are not checked.
+ */
+class SourceMapValidationPlugin {
+	/**
+	 * @param {Compiler} compiler the compiler
+	 * @returns {void}
+	 */
+	apply(compiler) {
+		compiler.hooks.compilation.tap(pluginName, compilation => {
+			//SourceMapDevToolPlugin在afterOptimizeChunkAssets中生成source map，压缩也在这之前
+			compilation.hooks.afterOptimizeAssets.tap(pluginName, assets => {
+				for (const file of Object.keys(assets)) {
+					if (!/\.(m?js|css)($|\?)/i.test(file)) continue;
+					const code = assets[file].source().toString();
+					const sourceMap = findSourceMap(file, code, assets);
+					if (!sourceMap) continue;
+					const problems = validateSourceMap(code, sourceMap.content);
+					if (problems.length > 0) {
+						compilation.warnings.push(
+							new SourceMapValidationWarning(file, sourceMap.name, problems)
+						);
+					}
+				}
+			});
+		});
+	}
+}
+
+module.exports = SourceMapValidationPlugin;
@@ -0,0 +1,39 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+"use strict";
+
+const WebpackError = require("./WebpackError");
+
+//每个资源最多列出的问题数量
+const MAX_PROBLEMS = 10;
+
+module.exports = class SourceMapValidationWarning extends WebpackError {
+	/**
+	 * @param {string} file the asset
+	 * @param {string} sourceMapFile the source map of the asset, or "inline"
+	 * @param {string[]} problems the broken mappings
+	 */
+	constructor(file, sourceMapFile, problems) {
+		const lines = problems
+			.slice(0, MAX_PROBLEMS)
+			.map(problem => `\n * ${problem}`);
+		if (problems.length > MAX_PROBLEMS) {
+			lines.push(`\n * ... and ${problems.length - MAX_PROBLEMS} more`);
+		}
+		super(
+			`${file}: The source map (${sourceMapFile}) has ${
+				problems.length
+			} broken mapping(s):${lines.join("")}`
+		);
+
+		this.name = "SourceMapValidationWarning";
+		this.code = "WP_SOURCE_MAP_INVALID";
+		this.file = file;
+		this.sourceMapFile = sourceMapFile;
+		this.problems = problems;
+
+		Error.captureStackTrace(this, this.constructor);
+	}
+};
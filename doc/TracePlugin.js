@@ -0,0 +1,192 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+"use strict";
+
+const path = require("path");
+const { HookMap } = require("tapable");
+const Tracer = require("./Tracer");
+const WebpackError = require("./WebpackError");
+
+/** @typedef {import("./Compiler")} Compiler */
+
+/**
+ * @typedef {Object} TracePluginOptions
+ * @property {string=} outputPath where to write the trace, defaults to trace.json in the context
+ */
+
+const pluginName = "TracePlugin";
+
+const PARSER_TYPES = [
+	"javascript/auto",
+	"javascript/dynamic",
+	"javascript/esm",
+	"json",
+	"webassembly/experimental"
+];
+
+/**
+ * @param {Tracer} tracer the tracer
+ * @param {string} category category of the events (Compiler, Compilation, ...)
+ * @param {string} hookName name of the hook
+ * @returns {TODO} interceptor that wraps every tap of the hook
+ */
+const createInterceptor = (tracer, category, hookName) => ({
+	register: tapInfo => {
+		// 不记录自己注册的钩子函数
+		if (tapInfo.name === pluginName) return tapInfo;
+		const { name, type, fn } = tapInfo;
+		const eventName = `${name} (${hookName})`;
+		const args = { hook: hookName, plugin: name };
+		let newFn;
+		switch (type) {
+			case "sync":
+				newFn = (...params) => {
+					const start = tracer.now();
+					try {
+						return fn(...params);
+					} finally {
+						tracer.complete(eventName, category, start, args);
+					}
+				};
+				break;
+			case "async":
+				newFn = (...params) => {
+					const end = tracer.begin(eventName, category, args);
+					const callback = params.pop();
+					return fn(...params, (...results) => {
+						end();
+						return callback(...results);
+					});
+				};
+				break;
+			case "promise":
+				newFn = (...params) => {
+					const end = tracer.begin(eventName, category, args);
+					return fn(...params).then(
+						result => {
+							end();
+							return result;
+						},
+						err => {
+							end();
+							throw err;
+						}
+					);
+				};
+				break;
+			default:
+				return tapInfo;
+		}
+		return Object.assign({}, tapInfo, { fn: newFn });
+	}
+});
+
+/**
+ * Intercepts all hooks and hook maps of an object that has `hooks`
+ * @param {Tracer} tracer the tracer
+ * @param {string} category category of the events
+ * @param {TODO} instance a Compiler, Compilation, NormalModuleFactory or Parser
+ * @returns {void}
+ */
+const interceptAllHooks = (tracer, category, instance) => {
+	for (const hookName of Object.keys(instance.hooks)) {
+		const hook = instance.hooks[hookName];
+		if (hook instanceof HookMap) {
+			// HookMap里的钩子是按需创建的，已经创建的和将来创建的都要拦截
+			for (const [key, innerHook] of hook._map) {
+				innerHook.intercept(
+					createInterceptor(tracer, category, `${hookName}.for(${key})`)
+				);
+			}
+			hook.intercept({
+				factory: (key, innerHook) => {
+					innerHook.intercept(
+						createInterceptor(tracer, category, `${hookName}.for(${key})`)
+					);
+					return innerHook;
+				}
+			});
+		} else {
+			hook.intercept(createInterceptor(tracer, category, hookName));
+		}
+	}
+};
+
+class TracePlugin {
+	/**
+	 * @param {TracePluginOptions=} options options
+	 */
+	constructor(options) {
+		this.options = options || {};
+	}
+
+	/**
+	 * @param {Compiler} compiler the compiler instance
+	 * @returns {void}
+	 */
+	apply(compiler) {
+		const outputPath =
+			this.options.outputPath ||
+			path.resolve(compiler.options.context || process.cwd(), "trace.json");
+		const tracer = new Tracer();
+
+		interceptAllHooks(tracer, "Compiler", compiler);
+
+		compiler.hooks.compilation.tap(
+			pluginName,
+			(compilation, { normalModuleFactory }) => {
+				//NormalModule会把tracer传给loader-runner记录每一次loader调用
+				compilation.tracer = tracer;
+				interceptAllHooks(tracer, "Compilation", compilation);
+				interceptAllHooks(tracer, "NormalModuleFactory", normalModuleFactory);
+				for (const type of PARSER_TYPES) {
+					normalModuleFactory.hooks.parser.for(type).tap(pluginName, parser => {
+						interceptAllHooks(tracer, "Parser", parser);
+					});
+				}
+				//每个模块从开始构建到构建结束是一个异步的区间
+				const buildingModules = new Map();
+				compilation.hooks.buildModule.tap(pluginName, module => {
+					buildingModules.set(
+						module,
+						tracer.begin(module.identifier(), "Module", {
+							module: module.identifier()
+						})
+					);
+				});
+				const endModule = module => {
+					const end = buildingModules.get(module);
+					if (end === undefined) return;
+					buildingModules.delete(module);
+					end();
+				};
+				compilation.hooks.succeedModule.tap(pluginName, endModule);
+				compilation.hooks.failedModule.tap(pluginName, endModule);
+			}
+		);
+
+		//每次编译结束都把目前为止收集到的事件写入文件
+		compiler.hooks.done.tapAsync(
+			{ name: pluginName, stage: Infinity },
+			(stats, callback) => {
+				tracer.save(outputPath, err => {
+					if (err) {
+						stats.compilation.warnings.push(
+							new WebpackError(
+								`${pluginName}: unable to write ${outputPath}: ${err.message}`
+							)
+						);
+					}
+					callback();
+				});
+			}
+		);
+		compiler.hooks.failed.tap(pluginName, () => {
+			tracer.save(outputPath, () => {});
+		});
+	}
+}
+
+module.exports = TracePlugin;
@@ -0,0 +1,139 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+"use strict";
+
+const path = require("path");
+const mkdirp = require("mkdirp");
+const fs = require("fs");
+
+/** @typedef {import("./Module")} Module */
+
+/**
+ * @typedef {Object} TraceEvent
+ * @property {string} name name of the event
+ * @property {string} cat category, shown as filter in the performance panel
+ * @property {string} ph phase: X = complete, b/e = async begin/end, M = metadata
+ * @property {number} ts timestamp in microseconds
+ * @property {number=} dur duration in microseconds of complete events
+ * @property {number} pid process id
+ * @property {number} tid thread id
+ * @property {number=} id id that pairs async begin and end events
+ * @property {Object=} args additional data shown in the details of the event
+ */
+
+/**
+ * 收集Chrome Trace Event格式的事件，可以在Chrome的Performance面板中加载
+ */
+class Tracer {
+	constructor() {
+		/** @type {TraceEvent[]} */
+		this.events = [
+			{
+				name: "thread_name",
+				cat: "__metadata",
+				ph: "M",
+				ts: 0,
+				pid: process.pid,
+				tid: 0,
+				args: { name: "webpack" }
+			}
+		];
+		this.nextId = 0;
+		this.startTime = process.hrtime();
+	}
+
+	/**
+	 * @returns {number} microseconds since the tracer was created
+	 */
+	now() {
+		const [seconds, nanoseconds] = process.hrtime(this.startTime);
+		return seconds * 1e6 + Math.round(nanoseconds / 1e3);
+	}
+
+	/**
+	 * Records a synchronous span that started at `start` and ends now
+	 * @param {string} name name of the event
+	 * @param {string} cat category
+	 * @param {number} start start timestamp from now()
+	 * @param {Object=} args additional data
+	 * @returns {void}
+	 */
+	complete(name, cat, start, args) {
+		this.events.push({
+			name,
+			cat,
+			ph: "X",
+			ts: start,
+			dur: this.now() - start,
+			pid: process.pid,
+			tid: 0,
+			args
+		});
+	}
+
+	/**
+	 * Starts an asynchronous span, async spans may overlap each other
+	 * @param {string} name name of the event
+	 * @param {string} cat category
+	 * @param {Object=} args additional data
+	 * @returns {function(): void} ends the span
+	 */
+	begin(name, cat, args) {
+		const id = this.nextId++;
+		this.events.push({
+			name,
+			cat,
+			ph: "b",
+			ts: this.now(),
+			pid: process.pid,
+			tid: 0,
+			id,
+			args
+		});
+		let ended = false;
+		return () => {
+			if (ended) return;
+			ended = true;
+			this.events.push({
+				name,
+				cat,
+				ph: "e",
+				ts: this.now(),
+				pid: process.pid,
+				tid: 0,
+				id
+			});
+		};
+	}
+
+	/**
+	 * Used as `traceLoader` option of runLoaders
+	 * @param {Module} module the module the loader runs for
+	 * @param {{path: string}} loader the loader object of loader-runner
+	 * @param {"pitch"|"normal"} kind which function of the loader is called
+	 * @returns {function(): void} ends the span
+	 */
+	beginLoader(module, loader, kind) {
+		const name = kind === "pitch" ? `${loader.path} (pitch)` : loader.path;
+		return this.begin(name, "Loader", {
+			module: module.identifier()
+		});
+	}
+
+	/**
+	 * @param {string} file the file to write the trace to
+	 * @param {function(Error=): void} callback callback
+	 * @returns {void}
+	 */
+	save(file, callback) {
+		const content = JSON.stringify({ traceEvents: this.events });
+		mkdirp(path.dirname(file), err => {
+			if (err) return callback(err);
+			fs.writeFile(file, content, callback);
+		});
+	}
+}
+
+module.exports = Tracer;
@@ -0,0 +1,113 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+"use strict";
+
+/** @typedef {import("./Compiler")} Compiler */
+/** @typedef {import("./MultiCompiler")} MultiCompiler */
+/** @typedef {import("./Stats")} Stats */
+/** @typedef {import("./Watching")} Watching */
+
+/**
+ * @typedef {Object} WatchResult
+ * @property {Error=} err an error which stopped the compilation
+ * @property {Stats=} stats the stats of the compilation
+ */
+
+/**
+ * @typedef {Object} PendingNext
+ * @property {function(IteratorResult<Stats>): void} resolve resolves the promise returned by next
+ * @property {function(Error): void} reject rejects the promise returned by next
+ */
+
+/**
+ * Async iterator over the results of watch mode, one Stats per compilation:
+ * `for await (const stats of compiler.watchIterator()) {}`.
+ * Leaving the loop closes the watching. An error of the compiler (not an error of a module,
+ * these are in the stats) closes the watching too and is thrown in the loop.
+ */
+class WatchIterator {
+	/**
+	 * @param {Compiler|MultiCompiler} compiler the compiler, the values are MultiStats for a MultiCompiler
+	 * @param {Object|Object[]=} watchOptions options of the watching
+	 */
+	constructor(compiler, watchOptions) {
+		//还没有被取走的编译结果
+		/** @type {WatchResult[]} */
+		this.results = [];
+		//等待下一次编译结果的next调用
+		/** @type {PendingNext[]} */
+		this.pending = [];
+		this.done = false;
+		/** @type {Watching=} */
+		this.watching = undefined;
+		this.watching = compiler.watch(watchOptions, (err, stats) =>
+			this._push(err, stats)
+		);
+	}
+
+	/**
+	 * @param {Error=} err an error of the compiler
+	 * @param {Stats=} stats the stats of the compilation
+	 * @returns {void}
+	 */
+	_push(err, stats) {
+		if (this.done) return;
+		const pending = this.pending.shift();
+		if (pending === undefined) {
+			this.results.push({ err, stats });
+		} else if (err) {
+			pending.reject(err);
+		} else {
+			pending.resolve({ value: stats, done: false });
+		}
+		if (err) this.close();
+	}
+
+	/**
+	 * @returns {Promise<IteratorResult<Stats>>} the stats of the next compilation
+	 */
+	next() {
+		if (this.results.length > 0) {
+			const { err, stats } = this.results.shift();
+			if (err) return Promise.reject(err);
+			return Promise.resolve({ value: stats, done: false });
+		}
+		if (this.done) return Promise.resolve({ value: undefined, done: true });
+		return new Promise((resolve, reject) => {
+			this.pending.push({ resolve, reject });
+		});
+	}
+
+	/**
+	 * Called when the for await loop is left early
+	 * @returns {Promise<IteratorResult<Stats>>} the end of the iteration
+	 */
+	return() {
+		return this.close().then(() => ({ value: undefined, done: true }));
+	}
+
+	/**
+	 * Stops watching, waiting next calls end the iteration
+	 * @returns {Promise<void>} resolved when the watching is closed
+	 */
+	close() {
+		if (this.done) return Promise.resolve();
+		this.done = true;
+		for (const pending of this.pending) {
+			pending.resolve({ value: undefined, done: true });
+		}
+		this.pending.length = 0;
+		const watching = this.watching;
+		//编译器正在运行时watch不会创建Watching，错误已经传给了_push
+		if (!watching) return Promise.resolve();
+		return new Promise(resolve => watching.close(() => resolve()));
+	}
+
+	[Symbol.asyncIterator]() {
+		return this;
+	}
+}
+
+module.exports = WatchIterator;
@@ -0,0 +1,263 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+"use strict";
+
+const Stats = require("./Stats");
+const CancellationSignal = require("./CancellationSignal");
+
+class Watching {
+	constructor(compiler, watchOptions, handler) {
+		this.startTime = null;
+		this.invalid = false;
+		this.handler = handler;
+		this.callbacks = [];
+		this.closed = false;
+		if (typeof watchOptions === "number") {
+			this.watchOptions = {
+				aggregateTimeout: watchOptions
+			};
+		} else if (watchOptions && typeof watchOptions === "object") {
+			this.watchOptions = Object.assign({}, watchOptions);
+		} else {
+			this.watchOptions = {};
+		}
+		this.watchOptions.aggregateTimeout =
+			this.watchOptions.aggregateTimeout || 200;
+		this.compiler = compiler;
+		/** @private @type {{files: string[], dirs: string[], missing: string[]}=} */
+		this._watchedDependencies = undefined;
+		//取消正在进行的编译
+		/** @type {CancellationSignal=} */
+		this.signal = undefined;
+		this.running = true;
+		this.compiler.readRecords(err => {
+			if (err) return this._done(err);
+
+			this._go();
+		});
+	}
+
+	_go() {
+		this.startTime = Date.now();
+		this.running = true;
+		this.invalid = false;
+		const signal = (this.signal = new CancellationSignal());
+		//编译过程中继续监听上一次编译的依赖，文件变化时取消这次编译
+		//startTime为Infinity时只通知从现在开始的修改，已经包含在这次编译中的修改不会再通知一遍
+		//编译完成后仍然会从这次编译开始的时间监听，不会漏掉修改
+		if (
+			this.watchOptions.cancelOnChange &&
+			this._watchedDependencies &&
+			!this.closed
+		) {
+			const { files, dirs, missing } = this._watchedDependencies;
+			this.watch(files, dirs, missing, Infinity);
+		}
+		this.compiler.hooks.watchRun.callAsync(this.compiler, err => {
+			if (err) return this._done(err);
+			const onCompiled = (err, compilation) => {
+				if (err) return this._done(err);
+				if (this.invalid) return this._done();
+
+				if (this.compiler.hooks.shouldEmit.call(compilation) === false) {
+					return this._done(null, compilation);
+				}
+
+				this.compiler.emitAssets(compilation, err => {
+					if (err) return this._done(err);
+					if (this.invalid) {
+						return this.compiler.discardOutput(() => this._done());
+					}
+
+					this.compiler.emitRecords(err => {
+						if (err) {
+							return this.compiler.discardOutput(() => this._done(err));
+						}
+						//开启output.atomic时把临时目录换到输出目录
+						this.compiler.commitOutput(err => {
+							if (err) return this._done(err);
+
+							if (compilation.hooks.needAdditionalPass.call()) {
+								compilation.needAdditionalPass = true;
+
+								const stats = new Stats(compilation);
+								stats.startTime = this.startTime;
+								stats.endTime = Date.now();
+								this.compiler.hooks.done.callAsync(stats, err => {
+									if (err) return this._done(err);
+
+									this.compiler.hooks.additionalPass.callAsync(err => {
+										if (err) return this._done(err);
+										this.compiler.compile(onCompiled, signal);
+									});
+								});
+								return;
+							}
+							return this._done(null, compilation);
+						});
+					});
+				});
+			};
+			this.compiler.compile(onCompiled, signal);
+		});
+	}
+
+	_getStats(compilation) {
+		const stats = new Stats(compilation);
+		stats.startTime = this.startTime;
+		stats.endTime = Date.now();
+		return stats;
+	}
+
+	_done(err, compilation) {
+		this.running = false;
+		if (this.invalid) return this._go();
+
+		const stats = compilation ? this._getStats(compilation) : null;
+		if (err) {
+			this.compiler.hooks.failed.call(err);
+			this.handler(err, stats);
+			return;
+		}
+
+		this.compiler.hooks.done.callAsync(stats, () => {
+			this.handler(null, stats);
+			if (!this.closed) {
+				const files = Array.from(compilation.fileDependencies);
+				const dirs = Array.from(compilation.contextDependencies);
+				const missing = Array.from(compilation.missingDependencies);
+				const fileContentHashes = this.compiler.fileContentHashes;
+				if (fileContentHashes) {
+					//记录这次编译用到的文件的内容，之后用来判断文件内容是否真的变了
+					fileContentHashes.snapshot(files, () => {
+						if (!this.closed) this.watch(files, dirs, missing);
+					});
+				} else {
+					this.watch(files, dirs, missing);
+				}
+			}
+			for (const cb of this.callbacks) cb();
+			this.callbacks.length = 0;
+		});
+	}
+
+	watch(files, dirs, missing, startTime = this.startTime) {
+		this.pausedWatcher = null;
+		this._watchedDependencies = { files, dirs, missing };
+		this.watcher = this.compiler.watchFileSystem.watch(
+			files,
+			dirs,
+			missing,
+			startTime,
+			this.watchOptions,
+			(
+				err,
+				filesModified,
+				contextModified,
+				missingModified,
+				fileTimestamps,
+				contextTimestamps
+			) => {
+				this.pausedWatcher = this.watcher;
+				this.watcher = null;
+				if (err) {
+					return this.handler(err);
+				}
+				const fileContentHashes = this.compiler.fileContentHashes;
+				if (!fileContentHashes) {
+					this.compiler.fileTimestamps = fileTimestamps;
+					this.compiler.contextTimestamps = contextTimestamps;
+					return this._invalidate();
+				}
+				const changeTime = Date.now();
+				fileContentHashes.update(
+					filesModified,
+					fileTimestamps,
+					(err, changedFiles) => {
+						if (err) return this.handler(err);
+						if (this.closed) return;
+						//只是修改时间变了，内容没有变化，不需要重新编译，继续监听之后的修改
+						if (
+							changedFiles.length === 0 &&
+							contextModified.length === 0 &&
+							missingModified.length === 0 &&
+							!this.running
+						) {
+							return this.watch(files, dirs, missing, changeTime);
+						}
+						this.compiler.fileTimestamps = fileContentHashes.applyTo(
+							fileTimestamps
+						);
+						this.compiler.contextTimestamps = contextTimestamps;
+						this._invalidate();
+					}
+				);
+			},
+			(fileName, changeTime) => {
+				this.compiler.hooks.invalid.call(fileName, changeTime);
+			}
+		);
+	}
+
+	invalidate(callback) {
+		if (callback) {
+			this.callbacks.push(callback);
+		}
+		if (this.watcher) {
+			const fileTimestamps = this.watcher.getFileTimestamps();
+			this.compiler.fileTimestamps = this.compiler.fileContentHashes
+				? this.compiler.fileContentHashes.applyTo(fileTimestamps)
+				: fileTimestamps;
+			this.compiler.contextTimestamps = this.watcher.getContextTimestamps();
+		}
+		return this._invalidate();
+	}
+
+	_invalidate() {
+		if (this.watcher) {
+			this.pausedWatcher = this.watcher;
+			this.watcher.pause();
+			this.watcher = null;
+		}
+		if (this.running) {
+			this.invalid = true;
+			//文件又变化了，正在进行的编译的结果已经没有用了
+			if (this.watchOptions.cancelOnChange && this.signal) {
+				this.signal.cancel("files changed");
+			}
+			return false;
+		} else {
+			this._go();
+		}
+	}
+
+	close(callback) {
+		const finalCallback = () => {
+			this.compiler.hooks.watchClose.call();
+			this.compiler.running = false;
+			if (this.compiler.watching === this) this.compiler.watching = undefined;
+			if (callback !== undefined) callback();
+		};
+
+		this.closed = true;
+		if (this.watcher) {
+			this.watcher.close();
+			this.watcher = null;
+		}
+		if (this.pausedWatcher) {
+			this.pausedWatcher.close();
+			this.pausedWatcher = null;
+		}
+		if (this.running) {
+			this.invalid = true;
+			if (this.signal) this.signal.cancel("watching closed");
+			this._done = finalCallback;
+		} else {
+			finalCallback();
+		}
+	}
+}
+
+module.exports = Watching;
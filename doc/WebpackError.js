@@ -0,0 +1,35 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Jarid Margolin @jaridmargolin
+*/
+"use strict";
+
+class WebpackError extends Error {
+	/**
+	 * Creates an instance of WebpackError.
+	 * @param {string=} message error message
+	 */
+	constructor(message) {
+		super(message);
+
+		this.details = undefined;
+		this.missing = undefined;
+		this.origin = undefined;
+		this.dependencies = undefined;
+		this.module = undefined;
+		//稳定的错误码，例如WP_MODULE_NOT_FOUND，输出机器可读的诊断信息时使用
+		/** @type {string=} */
+		this.code = undefined;
+		//怎样修复这个错误的提示
+		/** @type {string=} */
+		this.hint = undefined;
+
+		Error.captureStackTrace(this, this.constructor);
+	}
+
+	inspect() {
+		return this.stack + (this.details ? `\n${this.details}` : "");
+	}
+}
+
+module.exports = WebpackError;
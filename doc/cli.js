@@ -34,8 +34,20 @@
 		"generate-plugin",
 		"info"
 	];
+	//这些命令需要读取配置文件，直接在当前进程中执行
+	const LOCAL_COMMANDS = {
+		resolve: "./resolve-command",
+		records: "./records-command",
+		rules: "./rules-command"
+	};
+	//本地命令后面的参数(比如records migrate中的migrate)不是单独的命令
+	const localCommandIndex = process.argv.findIndex(arg =>
+		Object.keys(LOCAL_COMMANDS).includes(arg)
+	);
+
 	//逐个解析参数,只保留指定的选项
-	const NON_COMPILATION_CMD = process.argv.find(arg => {
+	const NON_COMPILATION_CMD = process.argv.find((arg, idx) => {
+		if (localCommandIndex >= 0 && idx > localCommandIndex) return false;
 		if (arg === "serve") {
 			global.process.argv = global.process.argv.filter(a => a !== "serve");
 			process.argv = global.process.argv;
@@ -56,6 +68,10 @@ Usage: webpack-cli [options]
        webpack-cli [options] --entry <entry> --output <output>
        webpack-cli [options] <entries...> --output <output>
        webpack-cli <command> [options]
+       webpack-cli resolve <request> [--context <dir>] [--type normal|loader|context]
+       webpack-cli records diff <old records> <new records> [--json]
+       webpack-cli records migrate <old path> <new path> [<records>]
+       webpack-cli rules <file> [--issuer <file>]
 
 For more information, see https://webpack.js.org/api/cli/.`);
 
@@ -63,6 +79,7 @@ For more information, see https://webpack.js.org/api/cli/.`);
 
 	const DISPLAY_GROUP = "Stats options:";
 	const BASIC_GROUP = "Basic options:";
+	const COMMAND_GROUP = "Command options:";
 
 	yargs.options({
 		silent: {
@@ -74,11 +91,44 @@ For more information, see https://webpack.js.org/api/cli/.`);
 			alias: "j",//把结果以JSON的形式进行输出
 			describe: "Prints the result as JSON."
 		},
+		diagnostics: {
+			type: "string",//把错误和警告以带错误码和位置的SARIF或者JSON lines格式输出
+			describe:
+				"Prints errors and warnings with codes and locations instead of the stats",
+			choices: ["sarif", "jsonl"]
+		},
 		progress: {
 			type: "boolean",//以百分比显示构建的进度
 			describe: "Print compilation progress in percentage",
 			group: BASIC_GROUP
 		},
+		"debug-loaders": {
+			type: "string",//把每个loader处理前后的内容写入指定的目录
+			describe:
+				"Record the content after every loader step and write it to a directory (default: loader-steps)",
+			group: BASIC_GROUP
+		},
+		type: {
+			type: "string",//resolve命令使用的解析器
+			describe: "Resolver used by the resolve command",
+			choices: ["normal", "loader", "context"],
+			group: COMMAND_GROUP
+		},
+		issuer: {
+			type: "string",//rules命令中引用这个文件的模块
+			describe: "Issuer of the file tested by the rules command",
+			group: COMMAND_GROUP
+		},
+		"update-budgets": {
+			type: "boolean",//把这次构建的大小写入budgets.baseline指定的基线文件
+			describe: "Write the sizes checked by budgets to the baseline file",
+			group: BASIC_GROUP
+		},
+		trace: {
+			type: "boolean",//把钩子和loader的耗时写入trace.json，可以在Chrome中查看
+			describe: "Write a Chrome trace of the build to trace.json",
+			group: BASIC_GROUP
+		},
 		color: {
 			type: "boolean",
 			alias: "colors",
@@ -239,6 +289,29 @@ For more information, see https://webpack.js.org/api/cli/.`);
 			argv["display"] = "verbose";
 		}
 
+		//--type和--issuer只属于对应的命令，构建时不能使用
+		const COMMAND_OPTIONS = { type: "resolve", issuer: "rules" };
+		for (const option of Object.keys(COMMAND_OPTIONS)) {
+			if (argv[option] !== undefined && argv._[0] !== COMMAND_OPTIONS[option]) {
+				console.error(
+					`--${option} can only be used with the ${
+						COMMAND_OPTIONS[option]
+					} command`
+				);
+				process.exitCode = 1;
+				return;
+			}
+		}
+
+		//命令后面的位置参数是命令的参数，不能当作入口
+		let localCommand;
+		let localCommandArgs;
+		if (LOCAL_COMMANDS[argv._[0]]) {
+			localCommand = require(LOCAL_COMMANDS[argv._[0]]);
+			localCommandArgs = argv._.slice(1);
+			argv._ = [];
+		}
+
 		let options;
 		try {//合并配置文件参数和命令行参数获得最后的配置对象
 			options = require("./convert-argv")(argv);
@@ -290,6 +363,10 @@ For more information, see https://webpack.js.org/api/cli/.`);
 				return;
 			}
 
+			if (localCommand) {
+				return localCommand(options, localCommandArgs, argv);
+			}
+
 			const firstOptions = [].concat(options)[0];
 			const statsPresetToOptions = require("webpack").Stats.presetToOptions;
 
@@ -435,6 +512,18 @@ For more information, see https://webpack.js.org/api/cli/.`);
 			ifArg("build-delimiter", function (value) {
 				outputOptions.buildDelimiter = value;
 			});
+			if (argv.trace) {//配置文件中没有配置trace的话，使用默认的trace.json
+				for (const webpackOptions of [].concat(options)) {
+					if (!webpackOptions.trace) webpackOptions.trace = true;
+				}
+			}
+			if (argv["update-budgets"]) {
+				for (const webpackOptions of [].concat(options)) {
+					if (webpackOptions.budgets) {
+						webpackOptions.budgets.updateBaseline = true;
+					}
+				}
+			}
 			//引入webpack模块
 			const webpack = require("webpack");
 
@@ -463,6 +552,23 @@ For more information, see https://webpack.js.org/api/cli/.`);
 					profile: argv.profile
 				}).apply(compiler);
 			}
+			if (argv["debug-loaders"] !== undefined) {
+				const LoaderDebugPlugin = require("webpack").LoaderDebugPlugin;
+				const path = require("path");
+				const outputPath = path.resolve(
+					argv["debug-loaders"] || "loader-steps"
+				);
+				const compilers = compiler.compilers || [compiler];
+				compilers.forEach((childCompiler, idx) => {
+					//多个配置时每个配置写入一个子目录
+					new LoaderDebugPlugin({
+						outputPath:
+							compilers.length > 1
+								? path.join(outputPath, childCompiler.name || `${idx}`)
+								: outputPath
+					}).apply(childCompiler);
+				});
+			}
 			if (outputOptions.infoVerbosity === "verbose") {
 				if (argv.w) {
 					compiler.hooks.watchRun.tap("WebpackInfo", compilation => {
@@ -481,6 +587,17 @@ For more information, see https://webpack.js.org/api/cli/.`);
 				});
 			}
 
+			//预算的severity只决定在stats中显示为错误还是警告，超出任何一个预算都算构建失败
+			function budgetsExceeded(stats) {
+				return (stats.stats || [stats]).some(
+					stats =>
+						stats.compilation.budgetResults !== undefined &&
+						stats.compilation.budgetResults.some(
+							result => result.violations.length > 0
+						)
+				);
+			}
+
 			function compilerCallback(err, stats) {
 				if (!options.watch || err) {
 					// Do not keep cache anymore
@@ -492,7 +609,25 @@ For more information, see https://webpack.js.org/api/cli/.`);
 					if (err.details) console.error(err.details);
 					process.exit(1); // eslint-disable-line
 				}
-				if (outputOptions.json) {
+				if (argv.diagnostics) {
+					const {
+						toSarif,
+						formatJsonLines
+					} = require("webpack/lib/Diagnostics");
+					const diagnostics = [].concat(
+						...(stats.stats || [stats]).map(stats =>
+							stats.compilation.getDiagnostics()
+						)
+					);
+					if (argv.diagnostics === "sarif") {
+						stdout.write(
+							JSON.stringify(toSarif(diagnostics, webpack.version), null, 2) +
+								"\n"
+						);
+					} else {
+						stdout.write(formatJsonLines(diagnostics));
+					}
+				} else if (outputOptions.json) {
 					stdout.write(
 						JSON.stringify(stats.toJson(outputOptions), null, 2) + "\n"
 					);
@@ -515,7 +650,8 @@ For more information, see https://webpack.js.org/api/cli/.`);
 						: "";
 					if (statsString) stdout.write(`${statsString}\n${delimiter}`);
 				}
-				if (!options.watch && stats.hasErrors()) {
+				//超出了预算的构建要以非0退出，这样CI中才能发现
+				if (!options.watch && (stats.hasErrors() || budgetsExceeded(stats))) {
 					process.exitCode = 2;
 				}
 			}
@@ -0,0 +1,97 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+"use strict";
+
+const createHash = require("./util/createHash");
+const { makePathsRelative } = require("./util/identifier");
+
+/** @typedef {import("./Module")} Module */
+/** @typedef {import("./Chunk")} Chunk */
+
+/**
+ * @param {Module} module a module
+ * @param {string} context context of the compiler
+ * @returns {string} the name of the module, relative to the context so that it is the same on every machine
+ */
+const getModuleName = (module, context) => {
+	const ident = module.libIdent && module.libIdent({ context });
+	return ident || makePathsRelative(context, module.identifier());
+};
+
+/**
+ * @param {Chunk} chunk a chunk
+ * @param {string} context context of the compiler
+ * @returns {string} the name of the chunk, or the names of its modules when it has no name
+ */
+const getChunkName = (chunk, context) => {
+	if (chunk.name) return chunk.name;
+	return Array.from(chunk.modulesIterable, module =>
+		getModuleName(module, context)
+	)
+		.sort()
+		.join(",");
+};
+
+/**
+ * @param {string} str a string
+ * @param {number} range the number of possible values
+ * @param {string} hashFunction the hash function of the output
+ * @returns {number} a number between 0 and range - 1 derived from the string
+ */
+const numberHash = (str, range, hashFunction) => {
+	const hash = createHash(hashFunction);
+	hash.update(str);
+	//13个十六进制数字是52位，不超过Number.MAX_SAFE_INTEGER
+	return parseInt(hash.digest("hex").slice(0, 13), 16) % range;
+};
+
+/**
+ * Assigns numeric ids derived from the names of the items.
+ * The items are sorted by name first, so a collision is always resolved the same way, no matter in which order the items were built.
+ * Items with the same name keep their order in items.
+ * @template T
+ * @param {T[]} items items without id
+ * @param {function(T): string} getName the name of an item
+ * @param {function(T, number): void} assignId sets the id of an item
+ * @param {Set<number|string>} usedIds ids which are already used, e.g. from records, the assigned ids are added
+ * @param {{maxLength: number, hashFunction: string}} options the digits of the smallest range and the hash function
+ * @returns {void}
+ */
+const assignDeterministicIds = (items, getName, assignId, usedIds, options) => {
+	const names = new Map();
+	const indexes = new Map();
+	items.forEach((item, index) => {
+		names.set(item, getName(item));
+		indexes.set(item, index);
+	});
+	//名字相同时按原来的顺序，Array#sort不一定是稳定的
+	const sortedItems = items.slice().sort((a, b) => {
+		const nameA = names.get(a);
+		const nameB = names.get(b);
+		if (nameA < nameB) return -1;
+		if (nameA > nameB) return 1;
+		return indexes.get(a) - indexes.get(b);
+	});
+	//范围至少是数量的20倍，冲突才会比较少
+	let range = Math.pow(10, options.maxLength);
+	const optimalRange = (items.length + usedIds.size) * 20;
+	while (range < optimalRange && range * 10 <= Number.MAX_SAFE_INTEGER) {
+		range *= 10;
+	}
+	for (const item of sortedItems) {
+		const name = names.get(item);
+		let id = numberHash(name, range, options.hashFunction);
+		//冲突时在名字后面加上序号重新计算
+		for (let i = 0; usedIds.has(id); i++) {
+			id = numberHash(`${name}${i}`, range, options.hashFunction);
+		}
+		usedIds.add(id);
+		assignId(item, id);
+	}
+};
+
+exports.getModuleName = getModuleName;
+exports.getChunkName = getChunkName;
+exports.assignDeterministicIds = assignDeterministicIds;
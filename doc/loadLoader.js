@@ -0,0 +1,144 @@
+var url;
+var vm;
+var fs;
+var path;
+var mainContextImport;
+
+// import() is not valid syntax in older node versions, so the dynamic import is created at runtime.
+function evalImport(loaderUrl) {
+	return eval("import(" + JSON.stringify(loaderUrl) + ")");
+}
+
+// When this file is compiled by a require hook using vm.Script (e.g. v8-compile-cache), import() has no loader.
+// The helper is compiled with the default loader of node instead, which is only possible since node 20.12.
+function getMainContextImport() {
+	if(mainContextImport !== undefined) return mainContextImport;
+	if(vm === undefined) vm = require("vm");
+	if(!vm.constants || !vm.constants.USE_MAIN_CONTEXT_DEFAULT_LOADER) return mainContextImport = null;
+	var script = new vm.Script("(function importModule(loaderUrl) { return import(loaderUrl); })", {
+		filename: __filename,
+		importModuleDynamically: vm.constants.USE_MAIN_CONTEXT_DEFAULT_LOADER
+	});
+	return mainContextImport = script.runInThisContext();
+}
+
+// Scripts restored from cached data (e.g. by v8-compile-cache) report the missing callback as invalid host defined options.
+function isMissingImportCallback(err) {
+	if(!err) return false;
+	return err.code === "ERR_VM_DYNAMIC_IMPORT_CALLBACK_MISSING" || (err instanceof TypeError && /host defined options/i.test(err.message));
+}
+
+function importModule(loaderPath) {
+	if(url === undefined) url = require("url");
+	var loaderUrl = url.pathToFileURL ? url.pathToFileURL(loaderPath).toString() : "file://" + loaderPath;
+	if(mainContextImport) return mainContextImport(loaderUrl);
+	return evalImport(loaderUrl).catch(function(err) {
+		if(!isMissingImportCallback(err)) throw err;
+		var helper = getMainContextImport();
+		if(!helper) {
+			throw new Error("Module '" + loaderPath + "' is an ES module, but loader-runner was compiled by a require hook without support for import() (" +
+				err.message + "). Use node >= 20.12 or disable the hook (e.g. DISABLE_V8_COMPILE_CACHE=1).");
+		}
+		return helper(loaderUrl);
+	});
+}
+
+function isModulePackage(loaderPath) {
+	if(!/\.js$/i.test(loaderPath)) return false;
+	if(fs === undefined) fs = require("fs");
+	if(path === undefined) path = require("path");
+	var dir = path.dirname(loaderPath);
+	while(true) {
+		try {
+			var pkg = JSON.parse(fs.readFileSync(path.join(dir, "package.json"), "utf-8"));
+			return pkg.type === "module";
+		} catch(e) {
+			if(e.code !== "ENOENT") return false;
+		}
+		var parent = path.dirname(dir);
+		if(parent === dir) return false;
+		dir = parent;
+	}
+}
+
+function describeExports(module) {
+	if(module === null) return "null";
+	if(typeof module !== "object") return typeof module;
+	var keys = Object.keys(module);
+	if(keys.length === 0) return "no exports";
+	return "exports " + keys.map(function(key) {
+		var value = module[key];
+		return key + " (" + (value === null ? "null" : typeof value) + ")";
+	}).join(", ");
+}
+
+function handleResult(loader, module, callback) {
+	if(typeof module !== "function" && (typeof module !== "object" || module === null)) {
+		return callback(new Error("Module '" + loader.path + "' is not a loader (export function or es6 module), it exports " + describeExports(module)));
+	}
+	loader.normal = typeof module === "function" ? module : module.default;
+	loader.pitch = module.pitch;
+	loader.raw = module.raw;
+	if(typeof loader.normal !== "function" && typeof loader.pitch !== "function") {
+		return callback(new Error(
+			"Module '" + loader.path + "' is not a loader (must export a function, a default function or a pitch function), it " +
+			describeExports(module)
+		));
+	}
+	callback();
+}
+
+// The callback is called outside of the promise chain, otherwise an exception thrown by it
+// (or by the loaders it runs) would become an unhandled rejection instead of reaching the caller.
+function handlePromise(loader, modulePromise, callback) {
+	modulePromise.then(function(module) {
+		process.nextTick(handleResult, loader, module, callback);
+	}, function(err) {
+		process.nextTick(callback, err);
+	});
+}
+
+function loadEsmLoader(loader, callback) {
+	var modulePromise;
+	try {
+		modulePromise = importModule(loader.path);
+	} catch(e) {
+		return callback(new Error("Module '" + loader.path + "' is an ES module, but this node version can't import ES modules (" + e.message + ")"));
+	}
+	handlePromise(loader, modulePromise, callback);
+}
+
+module.exports = function loadLoader(loader, callback) {
+	if(typeof System === "object" && typeof System.import === "function") {
+		handlePromise(loader, System.import(loader.path), callback);
+	} else if(/\.mjs$/i.test(loader.path)) {
+		loadEsmLoader(loader, callback);
+	} else {
+		try {
+			var module = require(loader.path);
+		} catch(e) {
+			// .js files in a package with "type": "module" are ES modules too
+			if(e instanceof Error && e.code === "ERR_REQUIRE_ESM") {
+				return loadEsmLoader(loader, callback);
+			}
+			// node versions which can require ES modules pass them to require hooks, which compile them as scripts
+			if(e instanceof SyntaxError && isModulePackage(loader.path)) {
+				return loadEsmLoader(loader, callback);
+			}
+			// it is possible for node to choke on a require if the FD descriptor
+			// limit has been reached. give it a chance to recover.
+			if(e instanceof Error && e.code === "EMFILE") {
+				var retry = loadLoader.bind(null, loader, callback);
+				if(typeof setImmediate === "function") {
+					// node >= 0.9.0
+					return setImmediate(retry);
+				} else {
+					// node < 0.9.0
+					return process.nextTick(retry);
+				}
+			}
+			return callback(e);
+		}
+		handleResult(loader, module, callback);
+	}
+};
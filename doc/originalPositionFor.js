@@ -0,0 +1,85 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+"use strict";
+
+/**
+ * @typedef {Object} OriginalPosition
+ * @property {string} source the original file, as written in the source map
+ * @property {number} line line, starting at 1
+ * @property {number} column column, starting at 0
+ */
+
+const BASE64 =
+	"ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/";
+
+/**
+ * @param {string} segment a segment of the mappings
+ * @returns {number[]} the decoded fields of the segment
+ */
+const decodeSegment = segment => {
+	const fields = [];
+	let value = 0;
+	let shift = 0;
+	for (let i = 0; i < segment.length; i++) {
+		const digit = BASE64.indexOf(segment[i]);
+		if (digit < 0) return [];
+		value += (digit & 31) << shift;
+		// 第6位是继续位
+		if (digit & 32) {
+			shift += 5;
+		} else {
+			fields.push(value & 1 ? -(value >>> 1) : value >>> 1);
+			value = 0;
+			shift = 0;
+		}
+	}
+	return fields;
+};
+
+/**
+ * Finds the original position of a generated position in a source map (version 3, no index maps)
+ * @param {string|Object} sourceMap the source map
+ * @param {number} line generated line, starting at 1
+ * @param {number} column generated column, starting at 0
+ * @returns {OriginalPosition|null} the original position, null when the position is not mapped
+ */
+module.exports = (sourceMap, line, column) => {
+	const map = typeof sourceMap === "string" ? JSON.parse(sourceMap) : sourceMap;
+	if (!map || typeof map.mappings !== "string" || !Array.isArray(map.sources)) {
+		return null;
+	}
+	const lines = map.mappings.split(";");
+	if (line < 1 || line > lines.length) return null;
+	// 除了生成代码的列，其他字段都是相对于上一个片段的，要从第一行开始累加
+	let sourceIndex = 0;
+	let originalLine = 0;
+	let originalColumn = 0;
+	let result = null;
+	for (let i = 0; i < line; i++) {
+		let generatedColumn = 0;
+		for (const segment of lines[i].split(",")) {
+			if (!segment) continue;
+			const fields = decodeSegment(segment);
+			if (fields.length === 0) continue;
+			generatedColumn += fields[0];
+			if (fields.length < 4) continue;
+			sourceIndex += fields[1];
+			originalLine += fields[2];
+			originalColumn += fields[3];
+			if (i === line - 1 && (generatedColumn <= column || result === null)) {
+				result = {
+					source: map.sourceRoot
+						? map.sourceRoot.replace(/\/?$/, "/") + map.sources[sourceIndex]
+						: map.sources[sourceIndex],
+					line: originalLine + 1,
+					column: originalColumn
+				};
+			}
+		}
+	}
+	return result;
+};
+
+module.exports.decodeSegment = decodeSegment;
@@ -0,0 +1,206 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const acorn = require("acorn");
+
+/** @typedef {import("./NormalModule")} NormalModule */
+
+/**
+ * @typedef {Object} SerializedParseResult
+ * @property {Object[]} objects every object of the graph, references are indexes into this array
+ * @property {any} root the encoded root object
+ */
+
+//这些buildInfo字段由serializeBuildResult单独处理
+const BUILD_INFO_SKIPPED_KEYS = new Set([
+	"cacheable",
+	"fileDependencies",
+	"contextDependencies",
+	"assets"
+]);
+
+//依赖的loc和range来自语法树，恢复成普通对象就够了
+const PLAIN_CLASSES = new Set([
+	acorn.SourceLocation,
+	acorn.Position,
+	acorn.Node
+]);
+
+/** @type {{byConstructor: Map<Function, string>, byName: Map<string, Function>}} */
+let registry = undefined;
+
+/**
+ * The classes which can be restored, the dependencies and blocks of webpack.
+ * Instances of other classes (e.g. dependencies of plugins) can't be serialized.
+ * @returns {{byConstructor: Map<Function, string>, byName: Map<string, Function>}} the registry
+ */
+const getRegistry = () => {
+	if (registry !== undefined) return registry;
+	registry = { byConstructor: new Map(), byName: new Map() };
+	const add = (name, exported) => {
+		if (typeof exported !== "function") return;
+		registry.byConstructor.set(exported, name);
+		registry.byName.set(name, exported);
+	};
+	add("AsyncDependenciesBlock", require("./AsyncDependenciesBlock"));
+	add("DependenciesBlockVariable", require("./DependenciesBlockVariable"));
+	for (const file of fs.readdirSync(path.join(__dirname, "dependencies"))) {
+		if (!file.endsWith(".js")) continue;
+		const name = `dependencies/${file.slice(0, -3)}`;
+		add(name, require(`./${name}`));
+	}
+	return registry;
+};
+
+class NotSerializableError extends Error {}
+
+/**
+ * @param {NormalModule} module a module that was parsed
+ * @returns {SerializedParseResult|undefined} the dependencies, blocks, variables, buildMeta and buildInfo, undefined when something can't be serialized
+ */
+const serializeParseResult = module => {
+	const { byConstructor } = getRegistry();
+	const objects = [];
+	/** @type {Map<any, number>} */
+	const ids = new Map();
+	const encode = value => {
+		if (value === undefined) return { u: 1 };
+		if (value === null || typeof value === "boolean") return value;
+		if (typeof value === "string") return value;
+		if (typeof value === "number") {
+			return Number.isFinite(value) ? value : { n: String(value) };
+		}
+		if (typeof value !== "object") throw new NotSerializableError();
+		if (value === module) return { m: 1 };
+		const known = ids.get(value);
+		if (known !== undefined) return { r: known };
+		const id = objects.length;
+		ids.set(value, id);
+		//先占位，循环引用时已经能取到序号
+		const entry = {};
+		objects.push(entry);
+		if (Array.isArray(value)) {
+			entry.t = "a";
+			entry.v = value.map(encode);
+		} else if (value instanceof Set) {
+			entry.t = "s";
+			entry.v = Array.from(value, encode);
+		} else if (value instanceof Map) {
+			entry.t = "p";
+			entry.v = Array.from(value, ([k, v]) => [encode(k), encode(v)]);
+		} else if (value instanceof RegExp) {
+			entry.t = "x";
+			entry.v = [value.source, value.flags];
+		} else {
+			const proto = Object.getPrototypeOf(value);
+			if (
+				proto === Object.prototype ||
+				proto === null ||
+				PLAIN_CLASSES.has(value.constructor)
+			) {
+				entry.t = "o";
+			} else {
+				const name = byConstructor.get(value.constructor);
+				if (name === undefined) throw new NotSerializableError();
+				entry.t = "c";
+				entry.c = name;
+			}
+			entry.v = {};
+			for (const key of Object.keys(value)) {
+				entry.v[key] = encode(value[key]);
+			}
+		}
+		return { r: id };
+	};
+	const buildInfo = {};
+	for (const key of Object.keys(module.buildInfo)) {
+		if (BUILD_INFO_SKIPPED_KEYS.has(key)) continue;
+		buildInfo[key] = module.buildInfo[key];
+	}
+	try {
+		const root = encode({
+			dependencies: module.dependencies,
+			blocks: module.blocks,
+			variables: module.variables,
+			buildMeta: module.buildMeta,
+			buildInfo
+		});
+		return { objects, root };
+	} catch (e) {
+		if (e instanceof NotSerializableError) return undefined;
+		throw e;
+	}
+};
+
+/**
+ * @param {NormalModule} module the module, its loader result is already restored
+ * @param {SerializedParseResult} data a result of serializeParseResult
+ * @returns {void}
+ */
+const restoreParseResult = (module, data) => {
+	const { byName } = getRegistry();
+	//先创建所有对象，再填充内容，这样引用可以指向后面的对象
+	const values = data.objects.map(entry => {
+		switch (entry.t) {
+			case "a":
+				return [];
+			case "s":
+				return new Set();
+			case "p":
+				return new Map();
+			case "x":
+				return new RegExp(entry.v[0], entry.v[1]);
+			case "o":
+				return {};
+			case "c": {
+				const Class = byName.get(entry.c);
+				if (Class === undefined) {
+					throw new Error(`${entry.c} is not a serializable class`);
+				}
+				return Object.create(Class.prototype);
+			}
+		}
+		throw new Error(`Unknown object type ${entry.t}`);
+	});
+	const decode = value => {
+		if (value === null || typeof value !== "object") return value;
+		if (value.u) return undefined;
+		if (value.m) return module;
+		if (value.n !== undefined) return Number(value.n);
+		return values[value.r];
+	};
+	data.objects.forEach((entry, i) => {
+		const target = values[i];
+		switch (entry.t) {
+			case "a":
+				for (const item of entry.v) target.push(decode(item));
+				break;
+			case "s":
+				for (const item of entry.v) target.add(decode(item));
+				break;
+			case "p":
+				for (const [k, v] of entry.v) target.set(decode(k), decode(v));
+				break;
+			case "o":
+			case "c":
+				for (const key of Object.keys(entry.v)) {
+					target[key] = decode(entry.v[key]);
+				}
+				break;
+		}
+	});
+	const root = decode(data.root);
+	module.dependencies = root.dependencies;
+	module.blocks = root.blocks;
+	module.variables = root.variables;
+	module.buildMeta = root.buildMeta;
+	Object.assign(module.buildInfo, root.buildInfo);
+};
+
+exports.serializeParseResult = serializeParseResult;
+exports.restoreParseResult = restoreParseResult;
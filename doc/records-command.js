@@ -0,0 +1,86 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+const USAGE =
+	"Usage: webpack-cli records diff <old records> <new records> [--json]\n" +
+	"       webpack-cli records migrate <old path> <new path> [<records>]";
+
+/**
+ * @param {string} file a records file
+ * @returns {Object} the records
+ */
+const readRecords = file => JSON.parse(fs.readFileSync(file, "utf-8"));
+
+/**
+ * @param {Object} config webpack options
+ * @returns {string|undefined} the records file of the configuration
+ */
+const getRecordsPath = config =>
+	config.recordsInputPath || config.recordsPath || config.recordsOutputPath;
+
+/**
+ * `webpack records diff <old> <new>` lists module and chunk ids which differ between two records files,
+ * `webpack records migrate <old path> <new path>` renames moved files in the records so they keep their ids
+ * @param {Object|Object[]} options webpack options
+ * @param {string[]} args arguments of the command
+ * @param {Object} argv parsed command line arguments
+ * @returns {void}
+ */
+module.exports = function recordsCommand(options, args, argv) {
+	const {
+		diffRecords,
+		migrateRecords,
+		formatRecordsDiff,
+		isBreakingChange
+	} = require("webpack/lib/RecordsDiff");
+	const [command, ...params] = args;
+	if (command === "diff" && params.length === 2) {
+		const diff = diffRecords(readRecords(params[0]), readRecords(params[1]));
+		if (argv.json) {
+			console.log(JSON.stringify(diff, null, 2));
+		} else {
+			const lines = formatRecordsDiff(diff, true);
+			console.log(lines.length > 0 ? lines.join("\n") : "No ids changed");
+		}
+		//有已经存在的模块或代码块换了id时以非0退出
+		if (diff.modules.concat(diff.chunks).some(isBreakingChange)) {
+			process.exitCode = 1;
+		}
+		return;
+	}
+	if (command === "migrate" && (params.length === 2 || params.length === 3)) {
+		const config = [].concat(options)[0];
+		const recordsPath = params[2] || getRecordsPath(config);
+		if (!recordsPath) {
+			console.error(
+				"No records file given and the configuration has no recordsPath"
+			);
+			process.exitCode = 1;
+			return;
+		}
+		const context = config.context || process.cwd();
+		const relative = request =>
+			path
+				.relative(context, path.resolve(context, request))
+				.replace(/\\/g, "/");
+		// 记录中的路径可能是相对于context的(portableRecords)，也可能是绝对路径
+		const moves = {
+			[relative(params[0])]: relative(params[1]),
+			[path.resolve(context, params[0])]: path.resolve(context, params[1])
+		};
+		const records = readRecords(recordsPath);
+		const renamed = migrateRecords(records, moves);
+		fs.writeFileSync(recordsPath, JSON.stringify(records, undefined, 2));
+		for (const [from, to] of renamed) {
+			console.log(`${from} -> ${to}`);
+		}
+		console.log(
+			`Migrated ${renamed.size} module identifier(s) in ${recordsPath}`
+		);
+		return;
+	}
+	console.error(USAGE);
+	process.exitCode = 1;
+};
@@ -0,0 +1,72 @@
+"use strict";
+
+/**
+ * @param {Object} node a node collected by the resolver in explain mode
+ * @param {string} indent indentation of the node
+ * @returns {string} the tree as text
+ */
+const formatExplanation = (node, indent) => {
+	let text = "";
+	let childIndent = indent;
+	if (node.hook) {
+		text += `${indent}${node.hook}: (${node.path})`;
+		if (node.request) text += ` ${node.request}`;
+		if (node.result !== undefined) text += ` -> ${node.result}`;
+		if (node.error !== undefined) text += ` !! ${node.error}`;
+		text += "\n";
+		childIndent = indent + "  ";
+		if (node.message) text += `${childIndent}# ${node.message}\n`;
+		for (const line of node.log) {
+			text += `${childIndent}| ${line}\n`;
+		}
+	}
+	for (const child of node.children) {
+		text += formatExplanation(child, childIndent);
+	}
+	return text;
+};
+
+/**
+ * `webpack resolve <request>` resolves a request the same way a module in the context would
+ * and prints every hook, description file, alias, extension and modules directory that was tried
+ * @param {Object|Object[]} options webpack options
+ * @param {string[]} args arguments of the command
+ * @param {Object} argv parsed command line arguments
+ * @returns {void}
+ */
+module.exports = function resolveCommand(options, args, argv) {
+	const request = args[0];
+	if (!request) {
+		console.error(
+			"Usage: webpack-cli resolve <request> [--context <dir>] [--type normal|loader|context]"
+		);
+		process.exitCode = 1;
+		return;
+	}
+	const webpack = require("webpack");
+	const type = argv.type || "normal";
+	const configs = [].concat(options);
+	let i = 0;
+	const next = () => {
+		if (i >= configs.length) return;
+		const config = configs[i++];
+		const compiler = webpack(config);
+		const resolver = compiler.resolverFactory.get(type, {});
+		const context = config.context || process.cwd();
+		const explain = { children: [] };
+		resolver.resolve({}, context, request, { explain }, (err, result) => {
+			if (configs.length > 1) {
+				console.log(`Configuration ${config.name || i - 1}:`);
+			}
+			console.log(formatExplanation(explain, ""));
+			if (err) {
+				console.error(err.message);
+				process.exitCode = 1;
+			} else {
+				console.log(`Resolved '${request}' in '${context}' to ${result}`);
+			}
+			next();
+		});
+	};
+	next();
+};
@@ -0,0 +1,73 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+"use strict";
+
+//扩展名对应的mimetype，只包括常见的类型
+const MIMETYPES = {
+	js: "application/javascript",
+	mjs: "application/javascript",
+	cjs: "application/javascript",
+	json: "application/json",
+	wasm: "application/wasm",
+	xml: "application/xml",
+	css: "text/css",
+	html: "text/html",
+	htm: "text/html",
+	md: "text/markdown",
+	txt: "text/plain",
+	svg: "image/svg+xml",
+	png: "image/png",
+	jpg: "image/jpeg",
+	jpeg: "image/jpeg",
+	gif: "image/gif",
+	webp: "image/webp",
+	ico: "image/x-icon",
+	woff: "font/woff",
+	woff2: "font/woff2",
+	ttf: "font/ttf",
+	otf: "font/otf",
+	eot: "application/vnd.ms-fontobject",
+	mp3: "audio/mpeg",
+	mp4: "video/mp4",
+	webm: "video/webm"
+};
+
+/**
+ * @param {string} resource a resource without query
+ * @returns {string|undefined} the scheme, e.g. data for data:text/javascript,..., undefined for paths
+ */
+exports.getScheme = resource => {
+	const match = /^([a-z][a-z0-9+.-]*):/i.exec(resource);
+	// C:\src\index.js这样的windows路径不是scheme
+	if (!match || match[1].length === 1) return undefined;
+	return match[1].toLowerCase();
+};
+
+/**
+ * @param {string} resource a resource without query
+ * @returns {string|undefined} the mimetype of a data uri or derived from the extension
+ */
+exports.getMimetype = resource => {
+	if (exports.getScheme(resource) === "data") {
+		const match = /^data:([^;,]+)/i.exec(resource);
+		return match ? match[1].toLowerCase() : "text/plain";
+	}
+	const match = /\.([^./\\]+)$/.exec(resource);
+	return match ? MIMETYPES[match[1].toLowerCase()] : undefined;
+};
+
+/**
+ * @param {string} resource a data uri, e.g. data:text/javascript,export default 42
+ * @returns {Buffer} the decoded content of the data uri
+ */
+exports.decodeDataUri = resource => {
+	const match = /^data:([^,]*),([\s\S]*)$/i.exec(resource);
+	if (!match) {
+		throw new Error(`Invalid data uri ${resource}, the ',' is missing`);
+	}
+	// 没有;base64时内容是URL编码的
+	if (/;base64$/i.test(match[1])) return Buffer.from(match[2], "base64");
+	return Buffer.from(decodeURIComponent(match[2]), "utf-8");
+};
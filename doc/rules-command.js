@@ -0,0 +1,159 @@
+"use strict";
+
+const path = require("path");
+
+/**
+ * @param {Object} use a loader of a rule
+ * @returns {string} the loader with its options
+ */
+const formatUse = use => {
+	if (!use.options) return use.loader;
+	const options =
+		typeof use.options === "string" ? use.options : JSON.stringify(use.options);
+	return `${use.loader}?${options}`;
+};
+
+/**
+ * @param {Object[]} trace the explanation of every rule by RuleSet.explain
+ * @param {number} defaultRulesCount number of default rules before the configured rules
+ * @returns {void}
+ */
+const printTrace = (trace, defaultRulesCount) => {
+	for (const explanation of trace) {
+		//默认规则排在配置的规则前面，ref--后面的序号包括了它们
+		const index = Number(/^ref--(\d+)/.exec(explanation.rule)[1]);
+		const label = index < defaultRulesCount ? " (default rule)" : "";
+		const status = explanation.skipped
+			? "skipped, an earlier rule of oneOf matched"
+			: explanation.matched
+				? "matched"
+				: "not matched";
+		console.log(`  ${explanation.rule}${label}: ${status}`);
+		for (const condition of explanation.conditions) {
+			console.log(
+				`    [${condition.result ? "pass" : "fail"}] ${condition.name} ${
+					condition.condition
+				} tested with ${
+					condition.value ? JSON.stringify(condition.value) : "nothing"
+				}`
+			);
+		}
+		for (const effect of explanation.effects) {
+			console.log(
+				`    -> ${effect.type}${
+					effect.enforce ? ` (${effect.enforce})` : ""
+				}: ${
+					effect.type === "use"
+						? formatUse(effect.value)
+						: JSON.stringify(effect.value)
+				}`
+			);
+		}
+	}
+};
+
+/**
+ * @param {Object[]} result the effects of the matched rules
+ * @returns {void}
+ */
+const printResult = result => {
+	//和NormalModuleFactory中的顺序相同：后置、普通、前置
+	const loaders = { post: [], normal: [], pre: [] };
+	let type;
+	for (const effect of result) {
+		if (effect.type === "use") {
+			loaders[effect.enforce || "normal"].push(formatUse(effect.value));
+		} else if (effect.type === "type") {
+			type = effect.value;
+		}
+	}
+	const finalLoaders = loaders.post.concat(loaders.normal, loaders.pre);
+	console.log(`Module type: ${type || "javascript/auto"}`);
+	console.log(
+		finalLoaders.length > 0
+			? `Loaders (the last one runs first):\n${finalLoaders
+					.map((loader, i) => `  ${i + 1}. ${loader}`)
+					.join("\n")}`
+			: "Loaders: none"
+	);
+};
+
+/**
+ * `webpack rules <file> [--issuer <file>]` tests the file against module.rules the same way NormalModuleFactory does
+ * and prints every rule with its tested conditions and the final list of loaders
+ * @param {Object|Object[]} options webpack options
+ * @param {string[]} args arguments of the command
+ * @param {Object} argv parsed command line arguments
+ * @returns {void}
+ */
+module.exports = function rulesCommand(options, args, argv) {
+	const file = args[0];
+	if (!file) {
+		console.error("Usage: webpack-cli rules <file> [--issuer <file>]");
+		process.exitCode = 1;
+		return;
+	}
+	const webpack = require("webpack");
+	const RuleSet = require("webpack/lib/RuleSet");
+	const { getMimetype, getScheme } = require("webpack/lib/resourceInfo");
+	const configs = [].concat(options);
+	let i = 0;
+	const next = () => {
+		if (i >= configs.length) return;
+		const config = configs[i++];
+		//webpack()会补全默认配置，其中包括defaultRules
+		const compiler = webpack(config);
+		const moduleOptions = compiler.options.module;
+		const context = compiler.options.context || process.cwd();
+		const ruleSet = new RuleSet(
+			moduleOptions.defaultRules.concat(moduleOptions.rules)
+		);
+		const queryIndex = file.indexOf("?");
+		const resourcePath = queryIndex >= 0 ? file.slice(0, queryIndex) : file;
+		const scheme = getScheme(resourcePath);
+		const resourceQuery = queryIndex >= 0 ? file.slice(queryIndex) : "";
+		const issuer = argv.issuer ? path.resolve(context, argv.issuer) : "";
+
+		const explain = (resource, descriptionData) => {
+			const { result, trace } = ruleSet.explain({
+				resource,
+				realResource: resource,
+				resourceQuery,
+				issuer,
+				compiler: compiler.name,
+				descriptionData,
+				mimetype: getMimetype(resource),
+				scheme
+			});
+			if (configs.length > 1) {
+				console.log(`Configuration ${config.name || i - 1}:`);
+			}
+			console.log(
+				`Rules for ${resource}${resourceQuery}${
+					issuer ? ` (issuer ${issuer})` : ""
+				}:`
+			);
+			printTrace(trace, moduleOptions.defaultRules.length);
+			printResult(result);
+			next();
+		};
+
+		if (scheme) return explain(resourcePath, undefined);
+		//和NormalModuleFactory一样解析原始请求，包名和省略扩展名的请求也能找到文件
+		//同时得到最近的package.json，descriptionData条件需要它的内容
+		compiler.resolverFactory
+			.get("normal", {})
+			.resolve({}, context, resourcePath, {}, (err, result, resolveData) => {
+				if (err) {
+					console.error(err.message);
+					process.exitCode = 1;
+					return next();
+				}
+				explain(
+					result,
+					resolveData ? resolveData.descriptionFileData : undefined
+				);
+			});
+	};
+	next();
+};
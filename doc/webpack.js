@@ -14,6 +14,7 @@ const validateSchema = require("./validateSchema");
 const WebpackOptionsValidationError = require("./WebpackOptionsValidationError");
 const webpackOptionsSchema = require("../schemas/WebpackOptions.json");
 const RemovedPluginError = require("./RemovedPluginError");
+const BuildFailedError = require("./BuildFailedError");
 const version = require("../package.json").version;
 
 /** @typedef {import("../declarations/WebpackOptions").WebpackOptions} WebpackOptions */
@@ -80,6 +81,21 @@ const webpack = (options, callback) => {
 	return compiler;
 };
 
+/**
+ * Runs a single build, options.watch is ignored
+ * @param {WebpackOptions} options options object
+ * @returns {Promise<Stats>} the stats, rejected with a BuildFailedError when the compilation has errors
+ */
+const build = options =>
+	new Promise((resolve, reject) => {
+		const compiler = webpack(options);
+		compiler.run((err, stats) => {
+			if (err) return reject(err);
+			if (stats.hasErrors()) return reject(new BuildFailedError(stats));
+			resolve(stats);
+		});
+	});
+
 exports = module.exports = webpack;
 exports.version = version;
 
@@ -92,6 +108,9 @@ webpack.NodeEnvironmentPlugin = NodeEnvironmentPlugin;
 webpack.validate = validateSchema.bind(this, webpackOptionsSchema);
 webpack.validateSchema = validateSchema;
 webpack.WebpackOptionsValidationError = WebpackOptionsValidationError;
+//返回Promise的构建，编译有错误时以BuildFailedError拒绝
+webpack.build = build;
+webpack.BuildFailedError = BuildFailedError;
 
 const exportPlugins = (obj, mappings) => {
 	for (const name of Object.keys(mappings)) {
@@ -106,17 +125,25 @@ const exportPlugins = (obj, mappings) => {
 exportPlugins(exports, {
 	AutomaticPrefetchPlugin: () => require("./AutomaticPrefetchPlugin"),
 	BannerPlugin: () => require("./BannerPlugin"),
+	//检查入口、代码块、资源和模块的大小预算，和基线文件比较并报告差值
+	BudgetPlugin: () => require("./BudgetPlugin"),
 	CachePlugin: () => require("./CachePlugin"),//向编译器加入缓存，用于缓存模块
 	ContextExclusionPlugin: () => require("./ContextExclusionPlugin"),
 	ContextReplacementPlugin: () => require("./ContextReplacementPlugin"),
 	DefinePlugin: () => require("./DefinePlugin"),
 	Dependency: () => require("./Dependency"),
+	//由代码块的名字或者包含的模块计算出稳定的数字id，冲突时重新计算
+	DeterministicChunkIdsPlugin: () => require("./DeterministicChunkIdsPlugin"),
+	//由模块的libIdent计算出稳定的数字id，和构建顺序无关
+	DeterministicModuleIdsPlugin: () => require("./DeterministicModuleIdsPlugin"),
 	DllPlugin: () => require("./DllPlugin"),
 	DllReferencePlugin: () => require("./DllReferencePlugin"),
 	EnvironmentPlugin: () => require("./EnvironmentPlugin"),
 	//通过包装在一个以// @ sourceURL注明的eval方法来包装每个模块模板。
 	EvalDevToolModulePlugin: () => require("./EvalDevToolModulePlugin"),
 	EvalSourceMapDevToolPlugin: () => require("./EvalSourceMapDevToolPlugin"),
+	//把入口代码块和其他代码块输出为ES模块，用import()加载代码块
+	EsModuleTemplatePlugin: () => require("./EsModuleTemplatePlugin"),
 	ExtendedAPIPlugin: () => require("./ExtendedAPIPlugin"),
 	ExternalsPlugin: () => require("./ExternalsPlugin"),
 	HashedModuleIdsPlugin: () => require("./HashedModuleIdsPlugin"),
@@ -125,11 +152,17 @@ exportPlugins(exports, {
 	IgnorePlugin: () => require("./IgnorePlugin"),
 	//入口块以一个类型为type的库name包装。
 	LibraryTemplatePlugin: () => require("./LibraryTemplatePlugin"),
+	//记录每个loader处理前后的内容，用来排查是哪个loader产生了错误的输出
+	LoaderDebugPlugin: () => require("./LoaderDebugPlugin"),
 	LoaderOptionsPlugin: () => require("./LoaderOptionsPlugin"),
 	LoaderTargetPlugin: () => require("./LoaderTargetPlugin"),
+	//在工作线程池中并行执行loader
+	LoaderWorkerPoolPlugin: () => require("./LoaderWorkerPoolPlugin"),
 	MemoryOutputFileSystem: () => require("./MemoryOutputFileSystem"),
 	Module: () => require("./Module"),
 	ModuleFilenameHelpers: () => require("./ModuleFilenameHelpers"),
+	//生成可以离线查看的模块依赖图报告
+	ModuleGraphReportPlugin: () => require("./ModuleGraphReportPlugin"),
 	NamedChunksPlugin: () => require("./NamedChunksPlugin"),
 	NamedModulesPlugin: () => require("./NamedModulesPlugin"),
 	NoEmitOnErrorsPlugin: () => require("./NoEmitOnErrorsPlugin"),
@@ -143,13 +176,23 @@ exportPlugins(exports, {
 	ProgressPlugin: () => require("./ProgressPlugin"),
 	//如果name在一个模块中使用，它将由一个通过require(<request>)加载的模块填充。
 	ProvidePlugin: () => require("./ProvidePlugin"),
+	//列出和上一次的记录相比变化了的模块和代码块id，并在文件移动后迁移记录
+	RecordsDiffPlugin: () => require("./RecordsDiffPlugin"),
+	//运行时用到的__webpack_require__.xxx，加入运行时辅助函数时作为键
+	RuntimeGlobals: () => require("./RuntimeGlobals"),
+	//运行时的辅助函数的基类，通过mainTemplate.addRuntimeModule加入
+	RuntimeModule: () => require("./RuntimeModule"),
 	SetVarMainTemplatePlugin: () => require("./SetVarMainTemplatePlugin"),
 	//在编译期添加一个入口块。该块以chunkName命名，且只包含一个模块（加上依赖）。这个模块根据context（绝对路径）的request解析
 	SingleEntryPlugin: () => require("./SingleEntryPlugin"),
 	//通过为每个 chunk 生成一个 SourceMap 来包装模板
 	SourceMapDevToolPlugin: () => require("./SourceMapDevToolPlugin"),
+	//检查生成的source map中指向资源或源文件之外的映射
+	SourceMapValidationPlugin: () => require("./SourceMapValidationPlugin"),
 	Stats: () => require("./Stats"),
 	Template: () => require("./Template"),
+	//记录钩子、loader和模块构建的耗时，生成可以在Chrome中查看的trace.json
+	TracePlugin: () => require("./TracePlugin"),
 	UmdMainTemplatePlugin: () => require("./UmdMainTemplatePlugin"),
 	WatchIgnorePlugin: () => require("./WatchIgnorePlugin")
 });
@@ -0,0 +1,18 @@
+//在loader中用this.loadModule构建另一个模块，等待它时不能占着scheduler.loaders的名额
+//同时调用两次，名额只能让出一次
+function loadModuleLoader(source) {
+    const callback = this.async();
+    const results = [];
+    let pending = 2;
+    const done = (index, err, result) => {
+        if (err) return callback(err);
+        results[index] = result;
+        if (--pending === 0) {
+            callback(null, source + '//base: ' + JSON.stringify(results));
+        }
+    };
+    this.loadModule('./base', (err, baseSource) => done(0, err, baseSource));
+    this.loadModule('./base?again', (err, baseSource) => done(1, err, baseSource));
+}
+
+module.exports = loadModuleLoader;
@@ -0,0 +1,27 @@
+const path = require('path');
+const { resolve } = require('path');
+
+//只有一个loader名额时loadModule也要能完成构建: webpack --config webpack.load-module.config.js
+module.exports = {
+    mode: 'development',
+    entry: "./src/index.js",
+    output: {
+        path: resolve(__dirname, "dist"),
+        filename: "bundle.js"
+    },
+    parallelism: 1,
+    scheduler: {
+        loaders: 1
+    },
+    resolveLoader: {
+        modules: [path.resolve('./loaders'), 'node_modules']
+    },
+    module: {
+        rules: [
+            {
+                test: /index\.js$/,
+                use: ['load-module-loader']
+            }
+        ]
+    }
+}